@@ -0,0 +1,69 @@
+// Named viewpoints for presenting the map. A bookmark stores the view as the same
+// hash string a shared link uses (see url-state.js), plus what the tour needs:
+//   { name, caption, duration, view }
+// duration is how long the tour stays at the stop, in seconds. The list is kept in
+// localStorage and exported/imported as { version, bookmarks: [...] } so a tour
+// can be moved to the gallery machine.
+
+import { downloadText } from './selection-export.js';
+
+export const BOOKMARKS_VERSION = 1;
+export const DEFAULT_STOP_DURATION = 8; // seconds
+const STORAGE_KEY = 'vam-posters-bookmarks';
+
+export function createBookmark(name, view) {
+    return { name, caption: '', duration: DEFAULT_STOP_DURATION, view };
+}
+
+function isValidBookmark(bookmark) {
+    return bookmark !== null && typeof bookmark === 'object' &&
+        typeof bookmark.name === 'string' &&
+        typeof bookmark.view === 'string';
+}
+
+// Fill in optional fields so older or hand-written files still play
+function normalizeBookmark(bookmark) {
+    const duration = Number(bookmark.duration);
+    return {
+        name: bookmark.name,
+        caption: typeof bookmark.caption === 'string' ? bookmark.caption : '',
+        duration: duration > 0 ? duration : DEFAULT_STOP_DURATION,
+        view: bookmark.view
+    };
+}
+
+// Bookmarks from a JSON export; throws if the file isn't one
+export function parseBookmarks(text) {
+    const data = JSON.parse(text);
+    const bookmarks = Array.isArray(data) ? data : data && data.bookmarks;
+    if (!Array.isArray(bookmarks) || !bookmarks.every(isValidBookmark)) {
+        throw new Error('Not a bookmarks file: expected { "bookmarks": [{ "name", "view", ... }] }');
+    }
+    return bookmarks.map(normalizeBookmark);
+}
+
+export function serializeBookmarks(bookmarks) {
+    return JSON.stringify({ version: BOOKMARKS_VERSION, bookmarks }, null, 2) + '\n';
+}
+
+export function loadBookmarks() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? parseBookmarks(stored) : [];
+    } catch (error) {
+        console.warn('Ignoring stored bookmarks:', error.message);
+        return [];
+    }
+}
+
+export function saveBookmarks(bookmarks) {
+    try {
+        localStorage.setItem(STORAGE_KEY, serializeBookmarks(bookmarks));
+    } catch (error) {
+        console.warn('Could not store bookmarks:', error.message);
+    }
+}
+
+export function downloadBookmarks(bookmarks, filename = 'bookmarks.json') {
+    downloadText(serializeBookmarks(bookmarks), filename, 'application/json');
+}
@@ -0,0 +1,310 @@
+// A classification run over a list of posters that can be paused, resumed and
+// cancelled, reporting progress as { state, done, total, failures, etaMs }, plus
+// error when state is 'failed' because the model itself couldn't be loaded.
+// It runs in classification-worker.js when the browser supports it and falls
+// back to batches on the main thread (through the ml5 classifier adapter) if not.
+// Each image gets timeoutMs per attempt and is retried unless the failure is
+// permanent (missing file, undecodable image), so one bad file can't stall a run.
+
+const BATCH_SIZE = 10;
+export const DEFAULT_TIMEOUT_MS = 30000;
+export const DEFAULT_RETRIES = 2;
+const WORKER_BACKEND_TYPES = ['mobilenet', 'custom']; // Models trained in the app need ml5
+
+export function canClassifyInWorker() {
+    return typeof Worker !== 'undefined' &&
+        typeof OffscreenCanvas !== 'undefined' &&
+        typeof createImageBitmap !== 'undefined';
+}
+
+// callbacks: onResult(filename, predictions), onFailure(filename, reason),
+// onEngine(version), onProgress(progress), onDone(progress)
+// onEngine reports the model version doing the classifying, again if the run
+// falls back from the worker to the main thread.
+export function createClassificationJob({
+    files,
+    classifier,
+    topK,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    useWorker = canClassifyInWorker(),
+    ...callbacks
+}) {
+    const options = { topK, timeoutMs, retries };
+    const finished = new Set();
+    const progress = { state: 'idle', done: 0, total: files.length, failures: 0, etaMs: null };
+    let runner = null;
+    let startedAt = 0;
+    let pausedAt = 0;
+    let pausedTotal = 0;
+
+    function report() {
+        const elapsed = performance.now() - startedAt - pausedTotal -
+            (progress.state === 'paused' ? performance.now() - pausedAt : 0);
+        const remaining = progress.total - progress.done;
+        progress.etaMs = progress.done > 0 ? (elapsed / progress.done) * remaining : null;
+        if (callbacks.onProgress) callbacks.onProgress({ ...progress });
+    }
+
+    const sink = {
+        result(filename, predictions) {
+            if (finished.has(filename)) return;
+            finished.add(filename);
+            progress.done++;
+            callbacks.onResult(filename, predictions);
+            report();
+        },
+        failure(filename, reason) {
+            if (finished.has(filename)) return;
+            finished.add(filename);
+            progress.done++;
+            progress.failures++;
+            if (callbacks.onFailure) callbacks.onFailure(filename, reason);
+            report();
+        },
+        engine(version) {
+            if (callbacks.onEngine) callbacks.onEngine(version);
+        },
+        // The model couldn't be loaded, so none of the posters can be classified
+        error(message) {
+            progress.state = 'failed';
+            progress.error = message;
+            progress.etaMs = null;
+            if (callbacks.onDone) callbacks.onDone({ ...progress });
+        },
+        done(cancelled) {
+            progress.state = cancelled ? 'cancelled' : 'done';
+            progress.etaMs = 0;
+            if (callbacks.onDone) callbacks.onDone({ ...progress });
+        },
+        // The worker couldn't start - carry on with whatever it didn't get to
+        fallback(reason) {
+            console.warn('Classifying on the main thread:', reason);
+            runner = createMainThreadRunner(files.filter(file => !finished.has(file)), classifier, options, sink);
+            if (progress.state === 'paused') runner.pause();
+            runner.start();
+        }
+    };
+
+    return {
+        start() {
+            startedAt = performance.now();
+            progress.state = 'running';
+            runner = useWorker && WORKER_BACKEND_TYPES.includes(classifier.type)
+                ? createWorkerRunner(files, classifier, options, sink)
+                : createMainThreadRunner(files, classifier, options, sink);
+            runner.start();
+            report();
+        },
+
+        pause() {
+            if (progress.state !== 'running') return;
+            progress.state = 'paused';
+            pausedAt = performance.now();
+            runner.pause();
+            report();
+        },
+
+        resume() {
+            if (progress.state !== 'paused') return;
+            progress.state = 'running';
+            pausedTotal += performance.now() - pausedAt;
+            runner.resume();
+            report();
+        },
+
+        cancel() {
+            if (progress.state !== 'running' && progress.state !== 'paused') return;
+            runner.cancel();
+        },
+
+        getProgress() {
+            return { ...progress };
+        }
+    };
+}
+
+function createWorkerRunner(files, classifier, options, sink) {
+    let worker = null;
+    let ready = false;
+
+    function stop() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    }
+
+    return {
+        start() {
+            worker = new Worker('classification-worker.js');
+            worker.onmessage = function(event) {
+                const message = event.data;
+                if (message.type === 'ready') {
+                    ready = true;
+                    sink.engine(message.version);
+                    worker.postMessage({ type: 'classify', files });
+                } else if (message.type === 'result') {
+                    sink.result(message.filename, message.predictions);
+                } else if (message.type === 'failure') {
+                    sink.failure(message.filename, message.reason);
+                } else if (message.type === 'done') {
+                    stop();
+                    sink.done(message.cancelled);
+                } else if (message.type === 'error') {
+                    stop();
+                    sink.fallback(message.message);
+                }
+            };
+            worker.onerror = function(event) {
+                event.preventDefault();
+                stop();
+                sink.fallback(event.message || 'worker failed to start');
+            };
+            worker.postMessage({
+                type: 'init',
+                backend: { type: classifier.type, modelUrl: classifier.modelUrl },
+                ...options
+            });
+        },
+        pause() {
+            if (worker) worker.postMessage({ type: 'pause' });
+        },
+        resume() {
+            if (worker) worker.postMessage({ type: 'resume' });
+        },
+        cancel() {
+            if (worker && ready) {
+                // Let the worker finish the image it is on and report 'done'
+                worker.postMessage({ type: 'cancel' });
+            } else {
+                stop();
+                sink.done(true);
+            }
+        }
+    };
+}
+
+// An error with the reason reported for the file; permanent ones aren't retried
+function failure(reason, permanent = false) {
+    const error = new Error(reason);
+    error.permanent = permanent;
+    return error;
+}
+
+// Fetching first tells a missing file apart from one the browser can't decode
+export function loadImage(file, signal) {
+    return fetch('all/' + file, { signal })
+        .catch(error => {
+            throw failure(`network error: ${error.message}`);
+        })
+        .then(response => {
+            if (!response.ok) {
+                throw failure(response.status === 404 ? 'not found (HTTP 404)' : `HTTP ${response.status}`, response.status === 404);
+            }
+            return response.blob();
+        })
+        .then(blob => new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(failure('decode error', true));
+            };
+            img.src = url;
+        }));
+}
+
+// Batches of BATCH_SIZE images classified with the ml5 adapter, yielding between batches
+function createMainThreadRunner(files, classifier, { topK, timeoutMs, retries }, sink) {
+    let paused = false;
+    let cancelled = false;
+    let resumeBatch = null;
+
+    // One attempt, given up after timeoutMs (aborting the download if it is still running)
+    function attempt(file) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(failure(`timed out after ${Math.round(timeoutMs / 1000)} s`));
+            }, timeoutMs);
+        });
+        const classified = loadImage(file, controller.signal).then(img =>
+            classifier.classify(img, topK).catch(error => {
+                throw failure(`classifier error: ${error.message}`);
+            })
+        );
+        return Promise.race([classified, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    function classifyFile(file, attemptsLeft = retries) {
+        return attempt(file)
+            .then(results => sink.result(file, results))
+            .catch(error => {
+                if (!error.permanent && attemptsLeft > 0 && !cancelled) {
+                    return classifyFile(file, attemptsLeft - 1);
+                }
+                sink.failure(file, error.message);
+            });
+    }
+
+    function processBatch(startIndex) {
+        if (cancelled) {
+            sink.done(true);
+            return;
+        }
+        if (paused) {
+            resumeBatch = () => processBatch(startIndex);
+            return;
+        }
+        if (startIndex >= files.length) {
+            sink.done(false);
+            return;
+        }
+
+        const batch = files.slice(startIndex, startIndex + BATCH_SIZE);
+        Promise.all(batch.map(classifyFile)).then(() => {
+            // Yield to the browser between batches
+            setTimeout(() => processBatch(startIndex + BATCH_SIZE), 10);
+        });
+    }
+
+    return {
+        // The model is loaded once up front, so its download doesn't eat into the
+        // first posters' timeouts and a model that can't load fails the job once
+        start() {
+            classifier.load()
+                .then(() => {
+                    sink.engine(classifier.version);
+                    processBatch(0);
+                })
+                .catch(error => {
+                    sink.error(`${classifier.name} could not be loaded: ${error.message}`);
+                });
+        },
+        pause() {
+            paused = true;
+        },
+        resume() {
+            paused = false;
+            if (resumeBatch) {
+                const next = resumeBatch;
+                resumeBatch = null;
+                next();
+            }
+        },
+        cancel() {
+            cancelled = true;
+            if (resumeBatch) {
+                resumeBatch = null;
+                sink.done(true);
+            }
+        }
+    };
+}
@@ -0,0 +1,183 @@
+// Web worker that fetches, decodes and classifies posters off the main thread.
+// ml5 needs the DOM, so this uses TF.js and the MobileNet model package directly
+// (same ImageNet labels as ml5's MobileNet), or a Teachable Machine style
+// layers model for custom backends.
+//
+// In:  { type: 'init', backend: { type, modelUrl }, topK, timeoutMs, retries }
+//      { type: 'classify', files: [...] }
+//      { type: 'pause' } / { type: 'resume' } / { type: 'cancel' }
+// Out: { type: 'ready', version }
+//      { type: 'result', filename, predictions: [{ label, confidence }] }
+//      { type: 'failure', filename, reason }
+//      { type: 'done', cancelled }
+//      { type: 'error', message }
+
+importScripts(
+    'https://unpkg.com/@tensorflow/tfjs@4.17.0/dist/tf.min.js',
+    'https://unpkg.com/@tensorflow-models/mobilenet@2.1.1/dist/mobilenet.min.js'
+);
+
+let model = null;
+let topK = 5;
+let timeoutMs = 30000;
+let retries = 2;
+let paused = false;
+let cancelled = false;
+let resumeWaiter = null;
+
+self.onmessage = function(event) {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        topK = message.topK || topK;
+        timeoutMs = message.timeoutMs || timeoutMs;
+        retries = message.retries !== undefined ? message.retries : retries;
+        loadModel(message.backend)
+            .then(version => self.postMessage({ type: 'ready', version }))
+            .catch(error => self.postMessage({ type: 'error', message: error.message }));
+    } else if (message.type === 'classify') {
+        classifyAll(message.files);
+    } else if (message.type === 'pause') {
+        paused = true;
+    } else if (message.type === 'resume') {
+        paused = false;
+        if (resumeWaiter) resumeWaiter();
+    } else if (message.type === 'cancel') {
+        cancelled = true;
+        paused = false;
+        if (resumeWaiter) resumeWaiter();
+    }
+};
+
+function loadModel(backend) {
+    if (backend.type === 'custom') {
+        return loadCustomModel(backend.modelUrl);
+    }
+    return mobilenet.load({ version: 2, alpha: 1.0 }).then(net => {
+        model = {
+            classify: bitmap => classifyMobileNet(net, bitmap)
+        };
+        return 'tfjs-models/mobilenet@2.1.1 (v2, alpha 1.0)';
+    });
+}
+
+function classifyMobileNet(net, bitmap) {
+    const pixels = tf.browser.fromPixels(bitmap);
+    return net.classify(pixels, topK)
+        .then(results => results.map(r => ({ label: r.className, confidence: r.probability })))
+        .finally(() => pixels.dispose());
+}
+
+// Teachable Machine export: model.json next to metadata.json with the class labels
+function loadCustomModel(modelUrl) {
+    const metadataUrl = modelUrl.replace(/model\.json$/, 'metadata.json');
+    return Promise.all([
+        tf.loadLayersModel(modelUrl),
+        fetch(metadataUrl).then(response => response.json())
+    ]).then(([layersModel, metadata]) => {
+        const [, height, width] = layersModel.inputs[0].shape;
+        model = {
+            classify: bitmap => {
+                const scores = tf.tidy(() => {
+                    const input = tf.image.resizeBilinear(tf.browser.fromPixels(bitmap), [height, width])
+                        .toFloat().div(127.5).sub(1).expandDims(0);
+                    return layersModel.predict(input);
+                });
+                return scores.data().then(values => {
+                    scores.dispose();
+                    return Array.from(values)
+                        .map((confidence, i) => ({ label: metadata.labels[i], confidence }))
+                        .sort((a, b) => b.confidence - a.confidence)
+                        .slice(0, topK);
+                });
+            }
+        };
+        return modelUrl;
+    });
+}
+
+function waitWhilePaused() {
+    if (!paused) return Promise.resolve();
+    return new Promise(resolve => {
+        resumeWaiter = () => {
+            resumeWaiter = null;
+            resolve();
+        };
+    });
+}
+
+// An error with the reason reported for the file; permanent ones aren't retried
+function failure(reason, permanent = false) {
+    const error = new Error(reason);
+    error.permanent = permanent;
+    return error;
+}
+
+async function loadAndClassify(filename, signal) {
+    let response;
+    try {
+        response = await fetch('all/' + filename, { signal });
+    } catch (error) {
+        throw failure(`network error: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw failure(response.status === 404 ? 'not found (HTTP 404)' : `HTTP ${response.status}`, response.status === 404);
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(await response.blob());
+    } catch (error) {
+        throw failure('decode error', true);
+    }
+
+    try {
+        return await model.classify(bitmap);
+    } catch (error) {
+        throw failure(`classifier error: ${error.message}`);
+    } finally {
+        bitmap.close();
+    }
+}
+
+// One attempt, given up after timeoutMs (aborting the download if it is still running)
+function attempt(filename) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(failure(`timed out after ${Math.round(timeoutMs / 1000)} s`));
+        }, timeoutMs);
+    });
+    return Promise.race([loadAndClassify(filename, controller.signal), timeout])
+        .finally(() => clearTimeout(timer));
+}
+
+async function classifyOne(filename) {
+    let lastError;
+    for (let i = 0; i <= retries; i++) {
+        try {
+            return await attempt(filename);
+        } catch (error) {
+            lastError = error;
+            if (error.permanent) break;
+        }
+    }
+    throw lastError;
+}
+
+async function classifyAll(files) {
+    for (const filename of files) {
+        await waitWhilePaused();
+        if (cancelled) break;
+
+        try {
+            const predictions = await classifyOne(filename);
+            self.postMessage({ type: 'result', filename, predictions });
+        } catch (error) {
+            self.postMessage({ type: 'failure', filename, reason: error.message });
+        }
+    }
+    self.postMessage({ type: 'done', cancelled });
+}
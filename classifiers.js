@@ -0,0 +1,160 @@
+// Classifier backends. Every adapter has the same shape so the loading pipeline
+// doesn't care which model is behind it:
+//   { id, type, name, version, manifestUrl, modelUrl, load(), classify(img, topK) }
+// type and modelUrl let classification-worker.js load the same model off the main thread.
+// classify resolves to [{ label, confidence }, ...] sorted by confidence.
+
+import { DEFAULT_MANIFEST_URL } from './manifest.js';
+import { TRAINING_INFO_FILE } from './training.js';
+
+// Configured backends - add an entry here to make another model selectable.
+// `custom` entries point at a TF.js / Teachable Machine model.json served locally,
+// `feature-extractor` entries at a model trained in the app (see training.js).
+export const CLASSIFIER_CONFIGS = {
+    mobilenet: {
+        type: 'mobilenet',
+        name: 'MobileNet',
+        manifestUrl: DEFAULT_MANIFEST_URL
+    },
+    posters: {
+        type: 'custom',
+        name: 'Poster classifier',
+        modelUrl: 'models/posters/model.json',
+        manifestUrl: 'all/classifications-posters.json'
+    },
+    trained: {
+        type: 'feature-extractor',
+        name: 'Trained in the app',
+        modelUrl: 'models/trained/model.json',
+        manifestUrl: 'all/classifications-trained.json'
+    }
+};
+
+export const DEFAULT_CLASSIFIER = 'mobilenet';
+
+const ADAPTERS = {
+    mobilenet: createMobileNetClassifier,
+    custom: createCustomModelClassifier,
+    'feature-extractor': createFeatureExtractorClassifier
+};
+
+// The backend picked with ?classifier=<id>, falling back to the default
+export function getSelectedClassifierId(search = window.location.search) {
+    const id = new URLSearchParams(search).get('classifier');
+    return id && CLASSIFIER_CONFIGS[id] ? id : DEFAULT_CLASSIFIER;
+}
+
+export function createClassifier(id) {
+    const config = CLASSIFIER_CONFIGS[id];
+    if (!config) {
+        throw new Error(`Unknown classifier backend: ${id}`);
+    }
+    const adapter = ADAPTERS[config.type];
+    if (!adapter) {
+        throw new Error(`Unknown classifier type "${config.type}" for backend ${id}`);
+    }
+    return adapter(id, config);
+}
+
+// Stock ImageNet MobileNet through ml5
+function createMobileNetClassifier(id, config) {
+    let model = null;
+
+    return {
+        id,
+        type: config.type,
+        name: config.name,
+        version: typeof ml5 !== 'undefined' && ml5.version ? `ml5@${ml5.version}` : 'ml5@latest',
+        manifestUrl: config.manifestUrl,
+        load() {
+            if (!model) {
+                model = ml5.imageClassifier('MobileNet');
+            }
+            return Promise.resolve(model.ready).then(() => model);
+        },
+        classify(img, topK) {
+            return this.load().then(m => m.classify(img, topK)).then(normalizeResults);
+        }
+    };
+}
+
+// A locally hosted model.json (Teachable Machine export or any TF.js image model ml5 can load)
+function createCustomModelClassifier(id, config) {
+    let model = null;
+
+    return {
+        id,
+        type: config.type,
+        name: config.name,
+        version: config.version || config.modelUrl,
+        manifestUrl: config.manifestUrl,
+        modelUrl: config.modelUrl,
+        load() {
+            if (!model) {
+                model = ml5.imageClassifier(config.modelUrl);
+            }
+            return Promise.resolve(model.ready).then(() => model);
+        },
+        classify(img, topK) {
+            return this.load().then(m => m.classify(img, topK)).then(normalizeResults);
+        }
+    };
+}
+
+// A classification head trained in the app on top of ml5's MobileNet feature extractor.
+// It scores every trained label, so the results are cut to topK here. Its version is
+// the training time from the training.json saved with the model (see training.js);
+// resolveVersion() reads it, and trainingInfo keeps the rest of the file.
+function createFeatureExtractorClassifier(id, config) {
+    let model = null;
+
+    return {
+        id,
+        type: config.type,
+        name: config.name,
+        version: config.version || config.modelUrl,
+        manifestUrl: config.manifestUrl,
+        modelUrl: config.modelUrl,
+        trainingInfo: null,
+        resolveVersion() {
+            const infoUrl = config.modelUrl.replace(/[^/]*$/, TRAINING_INFO_FILE);
+            return fetch(infoUrl)
+                .then(response => response.ok ? response.json() : null)
+                .catch(() => null)
+                .then(info => {
+                    if (info && info.version) {
+                        this.trainingInfo = info;
+                        this.version = `${config.modelUrl}@${info.version}`;
+                    } else {
+                        console.warn(`No ${infoUrl}: results of an earlier model can't be told apart`);
+                    }
+                    return this.version;
+                });
+        },
+        load() {
+            if (!model) {
+                const extractor = ml5.featureExtractor('MobileNet');
+                model = Promise.resolve(extractor.ready)
+                    .then(() => extractor.classification())
+                    .then(() => extractor.load(config.modelUrl))
+                    .then(() => extractor);
+            }
+            return model;
+        },
+        classify(img, topK) {
+            return this.load()
+                .then(m => m.classify(img))
+                .then(results => normalizeResults(results).slice(0, topK));
+        }
+    };
+}
+
+// ml5 versions differ in field names (label/className, confidence/probability)
+function normalizeResults(results) {
+    return results
+        .map(r => ({
+            label: r.label !== undefined ? r.label : r.className,
+            confidence: r.confidence !== undefined ? r.confidence : r.probability
+        }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
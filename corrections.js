@@ -0,0 +1,98 @@
+// Human corrections to the classifier's labels. Each corrected poster keeps the
+// label the model gave it, the label a person assigned, who did it and when:
+//   { version, corrections: { [filename]: { originalLabel, label, user, timestamp } } }
+// Corrections are stored in localStorage and exported/imported as JSON; the
+// viewer applies them on top of every classification manifest.
+
+import { downloadText } from './selection-export.js';
+
+export const CORRECTIONS_VERSION = 1;
+const STORAGE_KEY = 'vam-posters-corrections';
+const USER_STORAGE_KEY = 'vam-posters-correction-user';
+
+function isValidCorrection(correction) {
+    return correction !== null && typeof correction === 'object' &&
+        typeof correction.label === 'string' && correction.label.trim() !== '' &&
+        typeof correction.originalLabel === 'string';
+}
+
+// Map of filename -> correction from a JSON export; throws if the file isn't one
+export function parseCorrections(text) {
+    const data = JSON.parse(text);
+    if (!data || data.version !== CORRECTIONS_VERSION || !data.corrections || typeof data.corrections !== 'object' || Array.isArray(data.corrections)) {
+        throw new Error(`Not a corrections file (expected version ${CORRECTIONS_VERSION})`);
+    }
+    const corrections = new Map();
+    Object.entries(data.corrections).forEach(([filename, correction]) => {
+        if (!isValidCorrection(correction)) {
+            throw new Error(`Invalid correction for ${filename}`);
+        }
+        corrections.set(filename, {
+            originalLabel: correction.originalLabel,
+            label: correction.label,
+            user: correction.user || '',
+            timestamp: correction.timestamp || ''
+        });
+    });
+    return corrections;
+}
+
+// Sorted by filename so two exports can be diffed
+export function serializeCorrections(corrections) {
+    const sorted = {};
+    [...corrections.keys()].sort().forEach(filename => {
+        sorted[filename] = corrections.get(filename);
+    });
+    return JSON.stringify({ version: CORRECTIONS_VERSION, corrections: sorted }, null, 2) + '\n';
+}
+
+// Record that a poster the model called originalLabel is really label.
+// Setting it back to the model's label removes the correction. Returns the correction or null.
+export function setCorrection(corrections, filename, originalLabel, label, user) {
+    if (label === originalLabel) {
+        corrections.delete(filename);
+        return null;
+    }
+    const correction = { originalLabel, label, user, timestamp: new Date().toISOString() };
+    corrections.set(filename, correction);
+    return correction;
+}
+
+export function loadCorrections() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? parseCorrections(stored) : new Map();
+    } catch (error) {
+        console.warn('Ignoring stored corrections:', error.message);
+        return new Map();
+    }
+}
+
+export function saveCorrections(corrections) {
+    try {
+        localStorage.setItem(STORAGE_KEY, serializeCorrections(corrections));
+    } catch (error) {
+        console.warn('Could not store corrections:', error.message);
+    }
+}
+
+// Name recorded with new corrections, remembered between sessions
+export function loadCorrectionUser() {
+    try {
+        return localStorage.getItem(USER_STORAGE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+export function saveCorrectionUser(user) {
+    try {
+        localStorage.setItem(USER_STORAGE_KEY, user);
+    } catch (error) {
+        console.warn('Could not store the user name:', error.message);
+    }
+}
+
+export function downloadCorrections(corrections, filename = 'corrections.json') {
+    downloadText(serializeCorrections(corrections), filename, 'application/json');
+}
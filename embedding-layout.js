@@ -0,0 +1,132 @@
+// Similarity layout - MobileNet feature vectors for every poster, projected to 3D
+// in embedding-worker.js. The resulting coordinates are cached (file, then
+// localStorage) because extracting features for the whole collection is slow.
+
+import { loadImage } from './classification-job.js';
+import { downloadText } from './selection-export.js';
+
+export const EMBEDDING_LAYOUT_URL = 'all/embedding-layout.json';
+export const EMBEDDING_SCALE = 800; // half-extent of the layout in world units
+
+const STORAGE_KEY = 'embeddingLayout';
+const LAYOUT_VERSION = 1;
+
+// Cached layout from all/embedding-layout.json or localStorage, or null
+export function loadCachedEmbeddingLayout() {
+    return fetch(EMBEDDING_LAYOUT_URL)
+        .then(response => response.ok ? response.json() : null)
+        .catch(() => null)
+        .then(layout => {
+            if (isValidLayout(layout)) {
+                return layout;
+            }
+            try {
+                const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+                return isValidLayout(stored) ? stored : null;
+            } catch (error) {
+                return null;
+            }
+        });
+}
+
+export function saveEmbeddingLayout(layout) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+    } catch (error) {
+        console.warn('Could not cache the embedding layout:', error.message);
+    }
+}
+
+export function downloadEmbeddingLayout(layout) {
+    downloadText(JSON.stringify(layout) + '\n', EMBEDDING_LAYOUT_URL.split('/').pop(), 'application/json');
+}
+
+// Extract features for every file and project them to 3D.
+// onProgress(stage, fraction) is called with stage 'features' or 'projection'.
+export function computeEmbeddingLayout(files, onProgress = () => {}) {
+    const extractor = ml5.featureExtractor('MobileNet');
+
+    return Promise.resolve(extractor.ready)
+        .then(() => extractFeatures(extractor, files, onProgress))
+        .then(({ vectors, dim, filenames }) => projectInWorker(vectors, filenames.length, dim, onProgress)
+            .then(coordinates => buildLayout(filenames, coordinates)));
+}
+
+function extractFeatures(extractor, files, onProgress) {
+    const filenames = [];
+    const rows = [];
+
+    // Sequential on purpose: infer() allocates GPU memory per call
+    return files.reduce((chain, file, index) => chain.then(() =>
+        loadImage(file)
+            .then(img => {
+                const features = extractor.infer(img);
+                rows.push(features.dataSync().slice());
+                features.dispose();
+                filenames.push(file);
+            })
+            .catch(() => {
+                console.warn('Skipping image in embedding layout:', file);
+            })
+            .then(() => onProgress('features', (index + 1) / files.length))
+    ), Promise.resolve()).then(() => {
+        if (rows.length === 0) {
+            throw new Error('No features could be extracted');
+        }
+        const dim = rows[0].length;
+        const vectors = new Float32Array(rows.length * dim);
+        rows.forEach((row, i) => vectors.set(row, i * dim));
+        return { vectors, dim, filenames };
+    });
+}
+
+function projectInWorker(vectors, count, dim, onProgress) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('embedding-worker.js');
+        worker.onmessage = function(event) {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress('projection', message.value);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                resolve(message.coordinates);
+            } else if (message.type === 'error') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = function(error) {
+            worker.terminate();
+            reject(error);
+        };
+        worker.postMessage({ vectors, count, dim }, [vectors.buffer]);
+    });
+}
+
+// Scale each axis into [-EMBEDDING_SCALE, EMBEDDING_SCALE] and key by filename
+function buildLayout(filenames, coordinates) {
+    const extent = [0, 0, 0];
+    for (let i = 0; i < coordinates.length; i++) {
+        extent[i % 3] = Math.max(extent[i % 3], Math.abs(coordinates[i]));
+    }
+
+    const positions = {};
+    filenames.forEach((file, i) => {
+        positions[file] = [0, 1, 2].map(axis => {
+            const value = extent[axis] > 0 ? coordinates[i * 3 + axis] / extent[axis] : 0;
+            return Math.round(value * EMBEDDING_SCALE * 100) / 100;
+        });
+    });
+
+    return {
+        version: LAYOUT_VERSION,
+        method: 'pca',
+        model: 'MobileNet',
+        generatedAt: new Date().toISOString(),
+        positions
+    };
+}
+
+function isValidLayout(layout) {
+    return !!layout && layout.version === LAYOUT_VERSION && !!layout.positions;
+}
@@ -0,0 +1,104 @@
+// Web worker that projects image feature vectors down to 3D with PCA so the
+// main thread keeps rendering while the layout is computed.
+//
+// In:  { vectors: Float32Array (count * dim, row major), count, dim }
+// Out: { type: 'progress', value } ... then { type: 'done', coordinates: Float32Array (count * 3) }
+
+const COMPONENTS = 3;
+const ITERATIONS = 100;
+
+self.onmessage = function(event) {
+    const { vectors, count, dim } = event.data;
+
+    try {
+        const centered = center(vectors, count, dim);
+        const components = [];
+
+        // Power iteration with deflation, one principal component at a time
+        for (let c = 0; c < COMPONENTS; c++) {
+            components.push(principalComponent(centered, count, dim, components));
+            self.postMessage({ type: 'progress', value: (c + 1) / COMPONENTS });
+        }
+
+        const coordinates = new Float32Array(count * COMPONENTS);
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < COMPONENTS; c++) {
+                coordinates[i * COMPONENTS + c] = dot(centered, i * dim, components[c], dim);
+            }
+        }
+
+        self.postMessage({ type: 'done', coordinates }, [coordinates.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+function center(vectors, count, dim) {
+    const mean = new Float64Array(dim);
+    for (let i = 0; i < count; i++) {
+        for (let d = 0; d < dim; d++) {
+            mean[d] += vectors[i * dim + d] / count;
+        }
+    }
+    const centered = new Float32Array(count * dim);
+    for (let i = 0; i < count; i++) {
+        for (let d = 0; d < dim; d++) {
+            centered[i * dim + d] = vectors[i * dim + d] - mean[d];
+        }
+    }
+    return centered;
+}
+
+// Leading eigenvector of X^T X, orthogonal to the components found so far.
+// X^T (X v) is evaluated directly so the dim x dim covariance is never built.
+function principalComponent(data, count, dim, previous) {
+    let v = new Float64Array(dim);
+    for (let d = 0; d < dim; d++) {
+        v[d] = Math.sin(d + 1 + previous.length); // deterministic start so runs are repeatable
+    }
+    orthogonalize(v, previous);
+    normalize(v);
+
+    for (let iter = 0; iter < ITERATIONS; iter++) {
+        const next = new Float64Array(dim);
+        for (let i = 0; i < count; i++) {
+            const projection = dot(data, i * dim, v, dim);
+            for (let d = 0; d < dim; d++) {
+                next[d] += data[i * dim + d] * projection;
+            }
+        }
+        orthogonalize(next, previous);
+        if (normalize(next) === 0) {
+            break;
+        }
+        v = next;
+    }
+    return v;
+}
+
+function dot(data, offset, v, dim) {
+    let sum = 0;
+    for (let d = 0; d < dim; d++) {
+        sum += data[offset + d] * v[d];
+    }
+    return sum;
+}
+
+function orthogonalize(v, basis) {
+    basis.forEach(b => {
+        const projection = dot(v, 0, b, v.length);
+        for (let d = 0; d < v.length; d++) {
+            v[d] -= projection * b[d];
+        }
+    });
+}
+
+function normalize(v) {
+    const length = Math.sqrt(dot(v, 0, v, v.length));
+    if (length > 0) {
+        for (let d = 0; d < v.length; d++) {
+            v[d] /= length;
+        }
+    }
+    return length;
+}
@@ -0,0 +1,173 @@
+// Measure a classification manifest against ground-truth labels: accuracy,
+// per-class precision/recall/F1, the confusion matrix and how well the
+// confidence matches how often the top label is right (reliability).
+//
+// Ground truth is keyed by filename, as a CSV with filename and label columns or
+// as JSON: { "<filename>": "<label>" }, { labels: { ... } } or [{ filename, label }].
+
+export const DEFAULT_CALIBRATION_BINS = 10;
+
+// One CSV row split into fields, with RFC 4180 quoting
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields.map(value => value.trim());
+}
+
+// Without a filename/label header the first two columns are used
+function parseGroundTruthCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(parseCsvLine);
+    const header = rows[0].map(name => name.toLowerCase());
+    let fileColumn = header.findIndex(name => name === 'filename' || name === 'file');
+    let labelColumn = header.findIndex(name => name === 'label' || name === 'category');
+    if (fileColumn === -1 || labelColumn === -1) {
+        fileColumn = 0;
+        labelColumn = 1;
+    } else {
+        rows.shift();
+    }
+
+    const truth = new Map();
+    rows.forEach(row => {
+        if (row[fileColumn] && row[labelColumn]) {
+            truth.set(row[fileColumn], row[labelColumn]);
+        }
+    });
+    return truth;
+}
+
+// Map of filename -> true label; throws if the text is neither format
+export function parseGroundTruth(text) {
+    const trimmed = text.trim();
+    let truth;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        const entries = Array.isArray(data)
+            ? data.map(item => [item && item.filename, item && item.label])
+            : Object.entries(data.labels && typeof data.labels === 'object' ? data.labels : data);
+        truth = new Map(entries.filter(([filename, label]) => typeof filename === 'string' && typeof label === 'string'));
+    } else {
+        truth = parseGroundTruthCsv(trimmed);
+    }
+    if (truth.size === 0) {
+        throw new Error('No ground-truth labels found: expected filename and label columns or a JSON object keyed by filename');
+    }
+    return truth;
+}
+
+function f1Score(precision, recall) {
+    if (precision === null || recall === null) return null;
+    return precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+}
+
+function mean(values) {
+    const defined = values.filter(value => value !== null);
+    return defined.length > 0 ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+}
+
+// Compare the top prediction of every manifest entry that has a true label. Returns
+//   { count, missing, accuracy, macro: { precision, recall, f1 },
+//     classes: [{ label, support, predicted, precision, recall, f1 }],
+//     confusion: Map(true label -> Map(predicted label -> [filenames])),
+//     calibration: { bins: [{ from, to, count, confidence, accuracy }], expectedError } }
+// missing lists the ground-truth filenames the manifest has no result for. precision,
+// recall and f1 are null where they are undefined (nothing predicted or no support).
+export function evaluateManifest(manifest, truth, { bins = DEFAULT_CALIBRATION_BINS } = {}) {
+    const items = [];
+    const missing = [];
+    truth.forEach((label, filename) => {
+        const entry = manifest.images[filename];
+        if (entry) {
+            const top = entry.predictions[0];
+            items.push({ filename, label, predicted: top.label, confidence: top.confidence });
+        } else {
+            missing.push(filename);
+        }
+    });
+
+    const confusion = new Map();
+    const predictedCounts = new Map();
+    items.forEach(item => {
+        if (!confusion.has(item.label)) confusion.set(item.label, new Map());
+        const row = confusion.get(item.label);
+        if (!row.has(item.predicted)) row.set(item.predicted, []);
+        row.get(item.predicted).push(item.filename);
+        predictedCounts.set(item.predicted, (predictedCounts.get(item.predicted) || 0) + 1);
+    });
+
+    const labels = [...new Set([...confusion.keys(), ...predictedCounts.keys()])].sort();
+    const classes = labels.map(label => {
+        const row = confusion.get(label);
+        const support = row ? [...row.values()].reduce((sum, files) => sum + files.length, 0) : 0;
+        const truePositives = row && row.has(label) ? row.get(label).length : 0;
+        const predicted = predictedCounts.get(label) || 0;
+        const precision = predicted > 0 ? truePositives / predicted : null;
+        const recall = support > 0 ? truePositives / support : null;
+        return { label, support, predicted, precision, recall, f1: f1Score(precision, recall) };
+    });
+
+    // Averaged over the classes in the ground truth, so stray predictions don't count as classes
+    const trueClasses = classes.filter(c => c.support > 0);
+    const correct = items.filter(item => item.predicted === item.label).length;
+
+    return {
+        count: items.length,
+        missing,
+        accuracy: items.length > 0 ? correct / items.length : null,
+        macro: {
+            precision: mean(trueClasses.map(c => c.precision === null ? 0 : c.precision)),
+            recall: mean(trueClasses.map(c => c.recall)),
+            f1: mean(trueClasses.map(c => c.f1 === null ? 0 : c.f1))
+        },
+        classes,
+        confusion,
+        calibration: calibrate(items, bins)
+    };
+}
+
+// Bin the posters by top confidence and compare each bin's mean confidence with
+// the share it got right. expectedError is the count-weighted mean gap (ECE).
+function calibrate(items, binCount = DEFAULT_CALIBRATION_BINS) {
+    const bins = [];
+    for (let i = 0; i < binCount; i++) {
+        bins.push({ from: i / binCount, to: (i + 1) / binCount, count: 0, confidence: 0, accuracy: 0 });
+    }
+    items.forEach(item => {
+        const bin = bins[Math.min(binCount - 1, Math.floor(item.confidence * binCount))];
+        bin.count++;
+        bin.confidence += item.confidence;
+        bin.accuracy += item.predicted === item.label ? 1 : 0;
+    });
+
+    let expectedError = 0;
+    bins.forEach(bin => {
+        if (bin.count > 0) {
+            bin.confidence /= bin.count;
+            bin.accuracy /= bin.count;
+            expectedError += bin.count / items.length * Math.abs(bin.accuracy - bin.confidence);
+        }
+    });
+    return { bins, expectedError: items.length > 0 ? expectedError : null };
+}
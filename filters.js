@@ -0,0 +1,80 @@
+// Search and facet filtering over the image records. All active filters are
+// combined with AND: free text, selected categories and a confidence range.
+
+import { systemNumberFromFilename } from './metadata.js';
+
+const searchTextCache = new WeakMap();
+
+export function createFilterState() {
+    return {
+        text: '',
+        categories: new Set(), // empty = every category
+        minConfidence: 0,
+        maxConfidence: 1,
+        mode: 'hide' // 'hide' or 'dim' for non-matching posters
+    };
+}
+
+export function isFilterActive(filters) {
+    return filters.text.trim() !== '' ||
+        filters.categories.size > 0 ||
+        filters.minConfidence > 0 ||
+        filters.maxConfidence < 1;
+}
+
+// Forget the cached search text after a record's category changed
+export function clearSearchText(record) {
+    searchTextCache.delete(record);
+}
+
+// Lowercased text searched by the free-text box: labels, system number and metadata
+export function getSearchText(record) {
+    if (!searchTextCache.has(record)) {
+        const parts = [record.category, record.label, record.filename, systemNumberFromFilename(record.filename)];
+        (record.predictions || []).forEach(p => parts.push(p.label));
+        if (record.metadata) {
+            Object.values(record.metadata).forEach(value => {
+                if (value !== null && value !== undefined) {
+                    parts.push(String(value));
+                }
+            });
+        }
+        searchTextCache.set(record, parts.join(' ').toLowerCase());
+    }
+    return searchTextCache.get(record);
+}
+
+// Every whitespace separated term has to appear somewhere in the record
+export function matchesText(record, text) {
+    const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) {
+        return true;
+    }
+    const haystack = getSearchText(record);
+    return terms.every(term => haystack.includes(term));
+}
+
+export function matchesFilters(record, filters, { ignoreCategories = false } = {}) {
+    if (record.confidence < filters.minConfidence || record.confidence > filters.maxConfidence) {
+        return false;
+    }
+    if (!ignoreCategories && filters.categories.size > 0 && !filters.categories.has(record.category)) {
+        return false;
+    }
+    return matchesText(record, filters.text);
+}
+
+// Per-category counts of records matching every filter except the category selection,
+// so a facet shows how many posters ticking it would add
+export function countCategoryFacets(records, filters) {
+    const counts = new Map();
+    records.forEach(record => {
+        if (!counts.has(record.category)) {
+            counts.set(record.category, 0);
+        }
+        if (matchesFilters(record, filters, { ignoreCategories: true })) {
+            counts.set(record.category, counts.get(record.category) + 1);
+        }
+    });
+    return counts;
+}
@@ -0,0 +1,63 @@
+// Label hierarchy from WordNet: every ImageNet label maps to its chain of
+// hypernyms, so posters can be grouped at a coarser level of abstraction
+// ("container" instead of "envelope", "carton", "packet").
+//
+// all/label-hierarchy.json is generated by tools/build-label-hierarchy.mjs:
+//   { version, source, labels: { [label]: [root, ..., direct hypernym] } }
+// Depth counts from the root: depth 1 is "entity" for everything, and a depth
+// at or beyond a label's own level leaves the label as it is.
+
+export const LABEL_HIERARCHY_URL = 'all/label-hierarchy.json';
+export const LABEL_HIERARCHY_VERSION = 1;
+export const OTHER_CATEGORY = 'Other';
+
+export function validateLabelHierarchy(data) {
+    if (!data || data.version !== LABEL_HIERARCHY_VERSION || typeof data.labels !== 'object') {
+        throw new Error(`Unsupported label hierarchy (expected version ${LABEL_HIERARCHY_VERSION})`);
+    }
+    return data;
+}
+
+// The bundled hierarchy, or null when it hasn't been generated
+export function loadLabelHierarchy(url = LABEL_HIERARCHY_URL) {
+    return fetch(url)
+        .then(response => response.ok ? response.json() : null)
+        .then(data => data && validateLabelHierarchy(data))
+        .catch(error => {
+            console.warn('No label hierarchy:', error.message);
+            return null;
+        });
+}
+
+// Root-to-label chain; labels missing from the hierarchy (custom models) stand alone
+export function getLabelPath(hierarchy, label) {
+    const ancestors = hierarchy && hierarchy.labels[label];
+    return ancestors ? [...ancestors, label] : [label];
+}
+
+// Deepest level any label reaches - the slider's "no generalization" end
+export function getMaxDepth(hierarchy) {
+    if (!hierarchy) return 1;
+    return Object.values(hierarchy.labels).reduce((max, ancestors) => Math.max(max, ancestors.length + 1), 1);
+}
+
+export function generalizeLabel(hierarchy, label, depth) {
+    const path = getLabelPath(hierarchy, label);
+    return path[Math.min(depth, path.length) - 1];
+}
+
+// Fold categories with fewer than threshold members into OTHER_CATEGORY.
+// categoryByItem is a Map of item -> category; returns a new Map.
+export function mergeSmallCategories(categoryByItem, threshold) {
+    if (!threshold || threshold <= 1) {
+        return new Map(categoryByItem);
+    }
+    const counts = new Map();
+    categoryByItem.forEach(category => counts.set(category, (counts.get(category) || 0) + 1));
+
+    const merged = new Map();
+    categoryByItem.forEach((category, item) => {
+        merged.set(item, counts.get(category) < threshold ? OTHER_CATEGORY : category);
+    });
+    return merged;
+}
@@ -0,0 +1,261 @@
+// Instanced rendering mode: every poster is one instance of a camera-facing quad,
+// textured from atlas pages packed with the thumbnails in all/thumbnails/.
+// One draw call per atlas page instead of one sprite + material per poster.
+//
+// The rest of the viewer keeps working with a lightweight handle per poster
+// (an Object3D with a material-like { opacity }), and the renderer copies the
+// handles' position, scale, visibility, opacity and highlight into the
+// per-instance attributes every frame.
+
+import * as THREE from 'three';
+
+const THUMBNAIL_DIR = 'all/thumbnails/';
+const MAX_CONCURRENT_LOADS = 16;
+
+const vertexShader = `
+    attribute vec3 instanceOffset;
+    attribute vec4 instanceUvRect;
+    attribute float instanceOpacity;
+    attribute float instanceHighlight;
+    attribute float instanceScale;
+
+    uniform float size;
+
+    varying vec2 vUv;
+    varying vec2 vLocal;
+    varying float vOpacity;
+    varying float vHighlight;
+
+    void main() {
+        vLocal = uv;
+        vUv = instanceUvRect.xy + uv * instanceUvRect.zw;
+        vOpacity = instanceOpacity;
+        vHighlight = instanceHighlight;
+
+        // Billboard: offset the corners in view space so the quad always faces the camera
+        vec4 mvPosition = modelViewMatrix * vec4(instanceOffset, 1.0);
+        mvPosition.xy += position.xy * size * instanceScale;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D atlas;
+
+    varying vec2 vUv;
+    varying vec2 vLocal;
+    varying float vOpacity;
+    varying float vHighlight;
+
+    void main() {
+        if (vOpacity <= 0.0) discard;
+
+        vec4 color = texture2D(atlas, vUv);
+
+        // White frame around highlighted posters
+        float edge = min(min(vLocal.x, 1.0 - vLocal.x), min(vLocal.y, 1.0 - vLocal.y));
+        if (vHighlight > 0.0 && edge < 0.06) {
+            color = vec4(1.0);
+        }
+
+        gl_FragColor = vec4(color.rgb, color.a * vOpacity);
+    }
+`;
+
+// Stand-in for a THREE.Sprite: position/visible/scale come from Object3D,
+// opacity is read from material.opacity like on a SpriteMaterial
+function createPosterHandle(filename) {
+    const handle = new THREE.Object3D();
+    handle.material = { opacity: 1.0 };
+    handle.userData.filename = filename;
+    handle.userData.highlight = 0;
+    return handle;
+}
+
+export function createInstancedPosterRenderer({ size, atlasSize = 2048, cellSize = 64 }) {
+    const object = new THREE.Group();
+    const handles = [];
+    const pages = [];
+    const cellsPerRow = Math.floor(atlasSize / cellSize);
+    const cellsPerPage = cellsPerRow * cellsPerRow;
+    const worldPosition = new THREE.Vector3();
+
+    // An atlas page with room for cellsPerPage posters; instances are added as posters arrive
+    function createPage() {
+        const count = cellsPerPage;
+        const canvas = document.createElement('canvas');
+        canvas.width = atlasSize;
+        canvas.height = atlasSize;
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#cccccc'; // Same grey as the sprite placeholder
+        context.fillRect(0, 0, atlasSize, atlasSize);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+
+        const base = new THREE.PlaneGeometry(1, 1);
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.index = base.index;
+        geometry.setAttribute('position', base.getAttribute('position'));
+        geometry.setAttribute('uv', base.getAttribute('uv'));
+        geometry.instanceCount = 0;
+
+        const attributes = {
+            offset: new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3),
+            uvRect: new THREE.InstancedBufferAttribute(new Float32Array(count * 4), 4),
+            opacity: new THREE.InstancedBufferAttribute(new Float32Array(count), 1),
+            highlight: new THREE.InstancedBufferAttribute(new Float32Array(count), 1),
+            scale: new THREE.InstancedBufferAttribute(new Float32Array(count), 1)
+        };
+        attributes.offset.setUsage(THREE.DynamicDrawUsage);
+        attributes.opacity.setUsage(THREE.DynamicDrawUsage);
+        attributes.highlight.setUsage(THREE.DynamicDrawUsage);
+        attributes.scale.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('instanceOffset', attributes.offset);
+        geometry.setAttribute('instanceUvRect', attributes.uvRect);
+        geometry.setAttribute('instanceOpacity', attributes.opacity);
+        geometry.setAttribute('instanceHighlight', attributes.highlight);
+        geometry.setAttribute('instanceScale', attributes.scale);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                atlas: { value: texture },
+                size: { value: size }
+            },
+            vertexShader,
+            fragmentShader,
+            transparent: true
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.frustumCulled = false; // The base quad's bounds say nothing about the instances
+        object.add(mesh);
+
+        return { canvas, context, texture, geometry, material, mesh, attributes, used: 0, dirty: false };
+    }
+
+    // Cell i of a page: UV rect (x, y, width, height), with flipY the top row is v = 1
+    function cellRect(index) {
+        const col = index % cellsPerRow;
+        const row = Math.floor(index / cellsPerRow);
+        const uvSize = cellSize / atlasSize;
+        return { x: col * cellSize, y: row * cellSize, u: col * uvSize, v: 1 - (row + 1) * uvSize, uvSize };
+    }
+
+    // Thumbnails load in the order posters were added, MAX_CONCURRENT_LOADS at a time
+    const thumbnailQueue = [];
+    let loadsInFlight = 0;
+    let lastUpload = 0;
+
+    function loadThumbnails() {
+        while (loadsInFlight < MAX_CONCURRENT_LOADS && thumbnailQueue.length > 0) {
+            const handle = thumbnailQueue.shift();
+            const img = new Image();
+            loadsInFlight++;
+            img.onload = () => {
+                const { page, cell } = handle.userData.instance;
+                const rect = cellRect(cell);
+                pages[page].context.drawImage(img, rect.x, rect.y, cellSize, cellSize);
+                pages[page].dirty = true;
+                loadsInFlight--;
+                loadThumbnails();
+            };
+            img.onerror = () => {
+                console.error('Error loading thumbnail:', handle.userData.filename);
+                loadsInFlight--;
+                loadThumbnails();
+            };
+            img.src = THUMBNAIL_DIR + handle.userData.filename;
+        }
+    }
+
+    // Re-upload atlas pages at most a few times a second while thumbnails stream in
+    function uploadDirtyPages(now) {
+        if (now - lastUpload < 250) return;
+        lastUpload = now;
+        pages.forEach(page => {
+            if (page.dirty) {
+                page.texture.needsUpdate = true;
+                page.dirty = false;
+            }
+        });
+    }
+
+    return {
+        object,
+
+        // Register a poster and give it an atlas cell; returns the handle the viewer moves around
+        add(filename) {
+            const handle = createPosterHandle(filename);
+
+            if (pages.length === 0 || pages[pages.length - 1].used === cellsPerPage) {
+                pages.push(createPage());
+            }
+            const pageIndex = pages.length - 1;
+            const page = pages[pageIndex];
+            const cell = page.used++;
+            const rect = cellRect(cell);
+
+            handle.userData.instance = { page: pageIndex, cell };
+            page.attributes.uvRect.setXYZW(cell, rect.u, rect.v, rect.uvSize, rect.uvSize);
+            page.attributes.uvRect.needsUpdate = true;
+            page.geometry.instanceCount = page.used;
+
+            handles.push(handle);
+            thumbnailQueue.push(handle);
+            loadThumbnails();
+            return handle;
+        },
+
+        // Copy handle state into the instance attributes; call once per frame
+        update() {
+            handles.forEach(handle => {
+                const { page, cell } = handle.userData.instance;
+                const attributes = pages[page].attributes;
+                handle.getWorldPosition(worldPosition);
+                attributes.offset.setXYZ(cell, worldPosition.x, worldPosition.y, worldPosition.z);
+                attributes.opacity.setX(cell, handle.visible ? handle.material.opacity : 0);
+                attributes.highlight.setX(cell, handle.userData.highlight);
+                attributes.scale.setX(cell, handle.scale.x / size);
+            });
+            pages.forEach(page => {
+                page.attributes.offset.needsUpdate = true;
+                page.attributes.opacity.needsUpdate = true;
+                page.attributes.highlight.needsUpdate = true;
+                page.attributes.scale.needsUpdate = true;
+            });
+            uploadDirtyPages(performance.now());
+        },
+
+        // Nearest visible handle accepted by the filter whose billboard the ray passes
+        // through, or null. The billboard is drawn handle.scale.x wide.
+        pick(raycaster, accept = () => true) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+
+            handles.forEach(handle => {
+                if (!handle.visible || handle.material.opacity <= 0 || !accept(handle)) return;
+                const radius = handle.scale.x / 2;
+                handle.getWorldPosition(worldPosition);
+                if (raycaster.ray.distanceSqToPoint(worldPosition) > radius * radius) return;
+                const distance = raycaster.ray.origin.distanceTo(worldPosition);
+                if (distance < nearestDistance && distance >= raycaster.near && distance <= raycaster.far) {
+                    nearest = handle;
+                    nearestDistance = distance;
+                }
+            });
+            return nearest;
+        },
+
+        dispose() {
+            pages.forEach(page => {
+                page.texture.dispose();
+                page.geometry.dispose();
+                page.material.dispose();
+            });
+            object.clear();
+        }
+    };
+}
@@ -0,0 +1,135 @@
+// Position calculations for the layout modes. Each layout takes the image
+// records and returns a Map of record -> { x, y, z }, plus optional guide
+// labels ({ text, x, y, z }) to float in the scene next to the groups/axes.
+
+const CONFIDENCE_ELEVATION = 30; // world units of height for a confidence of 1.0
+
+// Place groups on a spiral from the center, largest first, each group laid out
+// as a square grid. groups is [[key, items], ...] already sorted by size.
+export function clusterLayout(groups, spacing) {
+    const categorySpacing = spacing * 25;
+    const positions = new Map();
+    const guides = [];
+
+    groups.forEach(([key, items], groupIndex) => {
+        const { x: groupX, z: groupZ } = getSpiralCoordinates(groupIndex, categorySpacing);
+        const cols = Math.ceil(Math.sqrt(items.length));
+
+        items.forEach((item, i) => {
+            positions.set(item, {
+                x: groupX + (i % cols) * spacing - (cols * spacing) / 2,
+                // Slight elevation by confidence
+                y: item.confidence * CONFIDENCE_ELEVATION,
+                z: groupZ + Math.floor(i / cols) * spacing - (Math.floor(items.length / cols) * spacing) / 2
+            });
+        });
+
+        guides.push({
+            text: `${key} (${items.length})`,
+            x: groupX,
+            y: CONFIDENCE_ELEVATION + spacing * 2,
+            z: groupZ - (cols * spacing) / 2 - spacing
+        });
+    });
+
+    return { positions, guides };
+}
+
+// Spiral pattern from the center: the largest group sits at index 0
+export function getSpiralCoordinates(index, categorySpacing) {
+    if (index === 0) {
+        return { x: 0, z: 0 };
+    }
+
+    const angle = index * 0.5; // Angle increases with each category
+    const radius = Math.sqrt(index) * categorySpacing * 2; // Radius increases as sqrt
+
+    return {
+        x: radius * Math.cos(angle),
+        z: radius * Math.sin(angle)
+    };
+}
+
+// Cluster records by a key taken from their metadata (maker, place, ...).
+// Inside each cluster posters are ordered by category so visual groups stay together.
+export function groupLayout(records, getKey, spacing) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = getKey(record) || 'Unknown';
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(record);
+    });
+
+    const sortedGroups = [...groups.entries()]
+        .sort((a, b) => b[1].length - a[1].length)
+        .map(([key, items]) => [key, items.slice().sort(byCategoryThenConfidence)]);
+
+    return clusterLayout(sortedGroups, spacing);
+}
+
+// Production year along X, one lane per category along Z (largest category first).
+// Posters sharing a year and category stack upwards, so column height reads as a count.
+// Undated posters get their own column before the first year.
+export function timelineLayout(records, spacing) {
+    const yearWidth = spacing * 2;
+    const laneDepth = spacing * 3;
+    const stackStep = spacing * 0.6;
+
+    const categoryCounts = new Map();
+    records.forEach(record => {
+        categoryCounts.set(record.category, (categoryCounts.get(record.category) || 0) + 1);
+    });
+    const lanes = [...categoryCounts.entries()].sort((a, b) => b[1] - a[1]).map(([category]) => category);
+    const laneIndex = new Map(lanes.map((category, i) => [category, i]));
+
+    const years = records.map(getYear).filter(year => year !== null);
+    const minYear = years.length > 0 ? Math.min(...years) : 0;
+    const maxYear = years.length > 0 ? Math.max(...years) : 0;
+    const midYear = (minYear + maxYear) / 2;
+    const undatedX = (minYear - 5 - midYear) * yearWidth;
+    const laneOffset = (lanes.length * laneDepth) / 2;
+
+    const positions = new Map();
+    const stacks = new Map();
+    records.slice().sort(byCategoryThenConfidence).forEach(record => {
+        const year = getYear(record);
+        const lane = laneIndex.get(record.category);
+        const cellKey = `${year},${lane}`;
+        const height = stacks.get(cellKey) || 0;
+        stacks.set(cellKey, height + 1);
+
+        positions.set(record, {
+            x: year === null ? undatedX : (year - midYear) * yearWidth,
+            y: height * stackStep,
+            z: lane * laneDepth - laneOffset
+        });
+    });
+
+    const guides = [];
+    if (years.length > 0) {
+        for (let decade = Math.floor(minYear / 10) * 10; decade <= maxYear; decade += 10) {
+            guides.push({ text: `${decade}s`, x: (decade - midYear) * yearWidth, y: -spacing, z: -laneOffset - laneDepth });
+        }
+    }
+    if (years.length < records.length) {
+        guides.push({ text: 'Undated', x: undatedX, y: -spacing, z: -laneOffset - laneDepth });
+    }
+    lanes.forEach((category, i) => {
+        guides.push({ text: category, x: undatedX - spacing * 6, y: 0, z: i * laneDepth - laneOffset });
+    });
+
+    return { positions, guides };
+}
+
+function getYear(record) {
+    return record.metadata && typeof record.metadata.year === 'number' ? record.metadata.year : null;
+}
+
+function byCategoryThenConfidence(a, b) {
+    if (a.category !== b.category) {
+        return a.category < b.category ? -1 : 1;
+    }
+    return b.confidence - a.confidence;
+}
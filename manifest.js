@@ -0,0 +1,133 @@
+// Classification manifest - a versioned record of one classification pass so the
+// viewer doesn't have to run the model over every poster on each page load.
+// The same module is used by the browser viewer and the Node tools.
+
+import { downloadText } from './selection-export.js';
+
+export const MANIFEST_VERSION = 1;
+export const DEFAULT_MANIFEST_URL = 'all/classifications.json';
+export const DEFAULT_TOP_K = 5; // predictions kept per image
+
+// Create an empty manifest for the given model description ({ name, version, backend })
+export function createManifest(model) {
+    return {
+        version: MANIFEST_VERSION,
+        model: {
+            name: model.name,
+            version: model.version || 'unknown',
+            backend: model.backend || 'mobilenet'
+        },
+        generatedAt: new Date().toISOString(),
+        images: {}
+    };
+}
+
+// Record the predictions for one image, keeping the top K labels only. version is
+// the model version that produced them; it is stored with the entry only when it
+// differs from the manifest's, so results from another engine aren't passed off as its.
+export function addManifestEntry(manifest, filename, predictions, topK = DEFAULT_TOP_K, version = null) {
+    manifest.images[filename] = {
+        predictions: predictions.slice(0, topK).map(p => ({
+            label: p.label,
+            // Rounded so re-runs of the same model diff cleanly
+            confidence: Math.round(p.confidence * 1e6) / 1e6
+        }))
+    };
+    if (version && version !== manifest.model.version) {
+        manifest.images[filename].version = version;
+    }
+    manifest.generatedAt = new Date().toISOString();
+}
+
+export function getManifestEntry(manifest, filename) {
+    return manifest && manifest.images[filename] ? manifest.images[filename] : null;
+}
+
+// Split a list of files into the ones already classified and the ones still missing
+export function partitionByManifest(manifest, imageFiles) {
+    const cached = [];
+    const missing = [];
+    imageFiles.forEach(file => {
+        if (getManifestEntry(manifest, file)) {
+            cached.push(file);
+        } else {
+            missing.push(file);
+        }
+    });
+    return { cached, missing };
+}
+
+// Check the shape of a parsed manifest, throwing if it can't be used
+export function validateManifest(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Manifest is not an object');
+    }
+    if (data.version !== MANIFEST_VERSION) {
+        throw new Error(`Unsupported manifest version: ${data.version} (expected ${MANIFEST_VERSION})`);
+    }
+    if (!data.model || !data.model.name) {
+        throw new Error('Manifest is missing the model name');
+    }
+    if (!data.images || typeof data.images !== 'object') {
+        throw new Error('Manifest is missing the images table');
+    }
+    Object.entries(data.images).forEach(([filename, entry]) => {
+        if (!Array.isArray(entry.predictions) || entry.predictions.length === 0) {
+            throw new Error(`Manifest entry for ${filename} has no predictions`);
+        }
+    });
+    return data;
+}
+
+// Serialize with filenames in sorted order so two runs can be diffed line by line
+export function serializeManifest(manifest) {
+    const images = {};
+    Object.keys(manifest.images).sort().forEach(filename => {
+        images[filename] = manifest.images[filename];
+    });
+    return JSON.stringify({ ...manifest, images }, null, 2) + '\n';
+}
+
+// Group manifest entries by their top label: count, average confidence and file list
+export function summarizeManifest(manifest) {
+    const summary = new Map();
+    Object.keys(manifest.images).sort().forEach(filename => {
+        const top = manifest.images[filename].predictions[0];
+        if (!summary.has(top.label)) {
+            summary.set(top.label, { count: 0, confidence: 0, images: [] });
+        }
+        const data = summary.get(top.label);
+        data.count++;
+        data.confidence += top.confidence;
+        data.images.push(filename);
+    });
+    summary.forEach(data => {
+        data.averageConfidence = data.confidence / data.count;
+    });
+    return summary;
+}
+
+// Fetch and validate a manifest. Resolves to null when there is none at the URL.
+export function loadManifest(url = DEFAULT_MANIFEST_URL) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                return null;
+            }
+            return response.json().then(validateManifest);
+        })
+        .catch(error => {
+            console.warn('Ignoring classification manifest:', error.message);
+            return null;
+        });
+}
+
+// Offer the manifest as a JSON file download (browser only)
+export function downloadManifest(manifest, filename = 'classifications.json') {
+    downloadText(serializeManifest(manifest), filename, 'application/json');
+}
+
+// True if the label is among the first k predictions of an entry
+export function hasLabelInTopK(predictions, label, k) {
+    return predictions.slice(0, k).some(p => p.label === label);
+}
@@ -0,0 +1,144 @@
+// Local metadata store for the posters, built from V&A Collections API responses.
+// Posters are named after their V&A system number (O1156816.jpg), which is the
+// key of the store. Shared by the viewer and tools/import-vam-metadata.mjs.
+
+export const METADATA_VERSION = 1;
+export const DEFAULT_METADATA_URL = 'all/metadata.json';
+export const VAM_API_URL = 'https://api.vam.ac.uk/v2/museumobject/';
+export const VAM_COLLECTIONS_URL = 'https://collections.vam.ac.uk/item/';
+
+export function createMetadataStore() {
+    return {
+        version: METADATA_VERSION,
+        source: 'V&A Collections API v2',
+        generatedAt: new Date().toISOString(),
+        objects: {}
+    };
+}
+
+// 'O1156816.jpg' -> 'O1156816'
+export function systemNumberFromFilename(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+}
+
+export function collectionsUrl(systemNumber) {
+    return VAM_COLLECTIONS_URL + systemNumber + '/';
+}
+
+export function getMetadata(store, filename) {
+    if (!store) {
+        return null;
+    }
+    return store.objects[systemNumberFromFilename(filename)] || null;
+}
+
+// Pull the records out of any V&A API response shape: a single object
+// ({ record }), a search result ({ records: [...] }) or a bare array/record
+export function extractVamRecords(json) {
+    if (!json) {
+        return [];
+    }
+    if (Array.isArray(json)) {
+        return json.flatMap(extractVamRecords);
+    }
+    if (json.record) {
+        return [json.record];
+    }
+    if (Array.isArray(json.records)) {
+        return json.records;
+    }
+    if (json.systemNumber) {
+        return [json];
+    }
+    return [];
+}
+
+// Flatten a full (museumobject) or summary (search) record into the fields the viewer shows
+export function normalizeVamRecord(record) {
+    const titles = record.titles || [];
+    const makers = [...(record.artistMakerPerson || []), ...(record.artistMakerOrganisations || [])];
+    const dates = record.productionDates || [];
+    const places = record.placesOfOrigin || [];
+
+    const primaryMaker = record._primaryMaker || {};
+    const date = dates.length > 0 ? dates[0].date : null;
+
+    return {
+        systemNumber: record.systemNumber,
+        title: titles.length > 0 ? titles[0].title : record._primaryTitle || '',
+        maker: makers.length > 0 ? textOf(makers[0].name) : primaryMaker.name || '',
+        makerRole: makers.length > 0 ? textOf(makers[0].association) : primaryMaker.association || '',
+        date: date ? date.text : record._primaryDate || '',
+        year: parseYear(date ? date.earliest || date.text : record._primaryDate),
+        place: places.length > 0 ? textOf(places[0].place) : record._primaryPlace || '',
+        materials: (record.materials || []).map(textOf).filter(Boolean).join(', ') ||
+            record.materialsAndTechniques || '',
+        museumNumber: record.museumNumber || record.accessionNumber || ''
+    };
+}
+
+// Merge records into the store; non-empty fields of newer records overwrite stored ones
+export function addVamRecords(store, records) {
+    let added = 0;
+    records.forEach(record => {
+        if (!record || !record.systemNumber) {
+            return;
+        }
+        const normalized = normalizeVamRecord(record);
+        const existing = store.objects[normalized.systemNumber];
+        store.objects[normalized.systemNumber] = existing ? mergeFields(existing, normalized) : normalized;
+        added++;
+    });
+    store.generatedAt = new Date().toISOString();
+    return added;
+}
+
+export function serializeMetadataStore(store) {
+    const objects = {};
+    Object.keys(store.objects).sort().forEach(key => {
+        objects[key] = store.objects[key];
+    });
+    return JSON.stringify({ ...store, objects }, null, 2) + '\n';
+}
+
+// Fetch the metadata store; resolves to null when there is none
+export function loadMetadata(url = DEFAULT_METADATA_URL) {
+    return fetch(url)
+        .then(response => response.ok ? response.json() : null)
+        .then(store => {
+            if (store && store.version !== METADATA_VERSION) {
+                throw new Error(`Unsupported metadata version: ${store.version}`);
+            }
+            return store;
+        })
+        .catch(error => {
+            console.warn('Ignoring poster metadata:', error.message);
+            return null;
+        });
+}
+
+function mergeFields(existing, incoming) {
+    const merged = { ...existing };
+    Object.entries(incoming).forEach(([key, value]) => {
+        if (value !== '' && value !== null) {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+// The API uses both plain strings and { text } objects for names and places
+function textOf(value) {
+    if (!value) {
+        return '';
+    }
+    return typeof value === 'string' ? value : value.text || '';
+}
+
+function parseYear(text) {
+    if (!text) {
+        return null;
+    }
+    const match = String(text).match(/\d{4}/);
+    return match ? parseInt(match[0], 10) : null;
+}
@@ -0,0 +1,80 @@
+// Central store of the image records shown in the map. A record's id is its
+// filename, which never changes; sprites carry the id in userData.recordId so
+// picking, LOD and filters don't depend on where a sprite currently is.
+//
+// Record fields: id, filename, label, category, confidence, predictions, metadata,
+// sprite, layoutPositions, plus rendering state added by the viewer. label and
+// confidence are a person's correction when there is one, modelLabel and
+// modelConfidence the classifier's (see corrections.js).
+
+export function createRecordStore() {
+    const byId = new Map();
+    const byCategory = new Map();
+
+    function index(record) {
+        if (!byCategory.has(record.category)) {
+            byCategory.set(record.category, []);
+        }
+        byCategory.get(record.category).push(record);
+    }
+
+    function unindex(record) {
+        const records = byCategory.get(record.category);
+        if (!records) return;
+        const position = records.indexOf(record);
+        if (position !== -1) {
+            records.splice(position, 1);
+        }
+        if (records.length === 0) {
+            byCategory.delete(record.category);
+        }
+    }
+
+    return {
+        add(record) {
+            record.id = record.filename;
+            if (byId.has(record.id)) {
+                unindex(byId.get(record.id));
+            }
+            byId.set(record.id, record);
+            index(record);
+            return record;
+        },
+
+        get(id) {
+            return byId.get(id) || null;
+        },
+
+        // Record behind a sprite, or null for sprites that aren't posters
+        getBySprite(sprite) {
+            return sprite && sprite.userData.recordId ? this.get(sprite.userData.recordId) : null;
+        },
+
+        all() {
+            return [...byId.values()];
+        },
+
+        forEach(callback) {
+            byId.forEach(record => callback(record));
+        },
+
+        size() {
+            return byId.size;
+        },
+
+        byCategory(category) {
+            return byCategory.get(category) || [];
+        },
+
+        categories() {
+            return [...byCategory.keys()];
+        },
+
+        // Move a record to another category, keeping the index in step
+        setCategory(record, category) {
+            unindex(record);
+            record.category = category;
+            index(record);
+        }
+    };
+}
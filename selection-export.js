@@ -0,0 +1,54 @@
+// Exports for a set of selected poster records: a plain list of V&A system
+// numbers (one per line) or a CSV with the classification and metadata.
+
+import { systemNumberFromFilename, collectionsUrl } from './metadata.js';
+
+const CSV_COLUMNS = [
+    ['filename', record => record.filename],
+    ['system_number', record => systemNumberFromFilename(record.filename)],
+    ['category', record => record.category],
+    ['label', record => record.label],
+    ['model_label', record => record.modelLabel],
+    ['corrected_by', record => record.correction && (record.correction.user || 'unknown')],
+    ['confidence', record => record.confidence.toFixed(4)],
+    ['predictions', record => (record.predictions || []).map(p => `${p.label} (${p.confidence.toFixed(4)})`).join('; ')],
+    ['title', record => record.metadata && record.metadata.title],
+    ['maker', record => record.metadata && record.metadata.maker],
+    ['date', record => record.metadata && record.metadata.date],
+    ['place', record => record.metadata && record.metadata.place],
+    ['museum_number', record => record.metadata && record.metadata.museumNumber],
+    ['url', record => collectionsUrl(systemNumberFromFilename(record.filename))]
+];
+
+export function toSystemNumberList(records) {
+    return records.map(record => systemNumberFromFilename(record.filename)).join('\n') + '\n';
+}
+
+// RFC 4180 quoting: fields with commas, quotes or line breaks are wrapped in quotes.
+// Text starting like a formula gets a leading ' so spreadsheets don't evaluate it.
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(records) {
+    const rows = [CSV_COLUMNS.map(([name]) => name)];
+    records.forEach(record => {
+        rows.push(CSV_COLUMNS.map(([, get]) => get(record)));
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function downloadText(text, filename, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
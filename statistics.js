@@ -0,0 +1,39 @@
+// Summary statistics over poster records for the statistics panel. Records are
+// counted under the category they are shown in, with their corrected label and
+// confidence where a person corrected them (see corrections.js).
+
+export const HISTOGRAM_BINS = 20;
+
+export function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// [{ category, count, meanConfidence, medianConfidence, share }], most posters first.
+// share is the category's part of all the records passed in.
+export function summarizeCategories(records) {
+    const confidences = new Map();
+    records.forEach(record => {
+        if (!confidences.has(record.category)) confidences.set(record.category, []);
+        confidences.get(record.category).push(record.confidence);
+    });
+
+    return [...confidences].map(([category, values]) => ({
+        category,
+        count: values.length,
+        meanConfidence: values.reduce((sum, value) => sum + value, 0) / values.length,
+        medianConfidence: median(values),
+        share: values.length / records.length
+    })).sort((a, b) => b.count - a.count || a.category.localeCompare(b.category));
+}
+
+// Number of records per equal-width confidence bin from 0 to 1 (100% goes in the last)
+export function confidenceHistogram(records, binCount = HISTOGRAM_BINS) {
+    const counts = new Array(binCount).fill(0);
+    records.forEach(record => {
+        counts[Math.min(binCount - 1, Math.floor(record.confidence * binCount))]++;
+    });
+    return counts;
+}
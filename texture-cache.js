@@ -0,0 +1,80 @@
+// LRU cache for poster textures with a memory budget. Textures that are in use
+// (pinned) are never evicted; everything else is disposed least recently used
+// first once the total size goes over the budget.
+
+export function createTextureCache({ budgetBytes, onEvict = texture => texture.dispose() }) {
+    const entries = new Map(); // key -> { texture, bytes, pins }, oldest first
+    let totalBytes = 0;
+
+    function touch(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+    }
+
+    function trim() {
+        for (const [key, entry] of entries) {
+            if (totalBytes <= budgetBytes) break;
+            if (entry.pins > 0) continue;
+            entries.delete(key);
+            totalBytes -= entry.bytes;
+            onEvict(entry.texture, key);
+        }
+    }
+
+    return {
+        has(key) {
+            return entries.has(key);
+        },
+
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            touch(key, entry);
+            return entry.texture;
+        },
+
+        set(key, texture, bytes) {
+            const existing = entries.get(key);
+            if (existing) {
+                totalBytes -= existing.bytes;
+                if (existing.texture !== texture) {
+                    onEvict(existing.texture, key);
+                }
+            }
+            entries.set(key, { texture, bytes, pins: existing ? existing.pins : 0 });
+            totalBytes += bytes;
+            touch(key, entries.get(key));
+            trim();
+        },
+
+        pin(key) {
+            const entry = entries.get(key);
+            if (entry) entry.pins++;
+        },
+
+        // Unpinned textures become candidates for eviction
+        unpin(key) {
+            const entry = entries.get(key);
+            if (entry && entry.pins > 0) {
+                entry.pins--;
+                trim();
+            }
+        },
+
+        stats() {
+            let pinned = 0;
+            entries.forEach(entry => {
+                if (entry.pins > 0) pinned++;
+            });
+            return { count: entries.size, pinned, bytes: totalBytes, budgetBytes };
+        }
+    };
+}
+
+// Approximate GPU size of a texture: RGBA, plus a third for the mipmap chain
+export function estimateTextureBytes(texture) {
+    const image = texture.image;
+    if (!image) return 0;
+    const bytes = image.width * image.height * 4;
+    return texture.generateMipmaps ? Math.round(bytes * 4 / 3) : bytes;
+}
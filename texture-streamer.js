@@ -0,0 +1,97 @@
+// Prioritized texture streaming: requests wait in a queue and at most
+// maxConcurrent images load at once, highest priority first. Requests that
+// are no longer wanted are dropped from the queue or aborted mid-load.
+
+import * as THREE from 'three';
+
+export function createTextureStreamer({ maxConcurrent = 8 } = {}) {
+    const queued = new Map(); // key -> { url, priority, onLoad, onError }
+    const inFlight = new Map(); // key -> { img, request }
+
+    function start(key, request) {
+        const img = new Image();
+        img.crossOrigin = 'Anonymous';
+        inFlight.set(key, { img, request });
+
+        img.onload = () => {
+            inFlight.delete(key);
+            const texture = new THREE.Texture(img);
+            texture.needsUpdate = true;
+            request.onLoad(texture);
+            pump();
+        };
+        img.onerror = () => {
+            inFlight.delete(key);
+            if (request.onError) request.onError(new Error('Failed to load ' + request.url));
+            pump();
+        };
+        img.src = request.url;
+    }
+
+    function pump() {
+        while (inFlight.size < maxConcurrent && queued.size > 0) {
+            let bestKey = null;
+            let bestPriority = -Infinity;
+            queued.forEach((request, key) => {
+                if (request.priority > bestPriority) {
+                    bestKey = key;
+                    bestPriority = request.priority;
+                }
+            });
+            const request = queued.get(bestKey);
+            queued.delete(bestKey);
+            start(bestKey, request);
+        }
+    }
+
+    function cancel(key) {
+        if (queued.delete(key)) return;
+        const loading = inFlight.get(key);
+        if (loading) {
+            // Dropping the handlers and src makes the browser abort the request
+            loading.img.onload = null;
+            loading.img.onerror = null;
+            loading.img.src = '';
+            inFlight.delete(key);
+        }
+    }
+
+    return {
+        // Queue a load, or update the priority of one that is already waiting
+        request(key, request) {
+            if (inFlight.has(key)) return;
+            const existing = queued.get(key);
+            if (existing) {
+                existing.priority = request.priority;
+                existing.onLoad = request.onLoad;
+                existing.onError = request.onError;
+                return;
+            }
+            queued.set(key, { ...request });
+        },
+
+        has(key) {
+            return queued.has(key) || inFlight.has(key);
+        },
+
+        cancel(key) {
+            cancel(key);
+            pump();
+        },
+
+        // Cancel every queued or loading request whose key isn't in the set
+        retainOnly(keys) {
+            [...queued.keys(), ...inFlight.keys()].forEach(key => {
+                if (!keys.has(key)) cancel(key);
+            });
+            pump();
+        },
+
+        // Start loads after a batch of request() calls
+        pump,
+
+        stats() {
+            return { queued: queued.size, inFlight: inFlight.size, maxConcurrent };
+        }
+    };
+}
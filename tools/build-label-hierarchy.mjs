@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// Builds all/label-hierarchy.json: the WordNet hypernym chain of every
+// classifier label, used by the viewer's grouping level control.
+//
+// Labels come from the ImageNet classes of the MobileNet package plus any
+// labels found in the classification manifests in all/. Each label is matched
+// to the WordNet noun synset containing all of its comma separated synonyms
+// ("tench, Tinca tinca"). ImageNet classes are things you can photograph, so
+// physical objects are preferred over abstract senses and named instances
+// ("crane" the bird or machine, not Stephen Crane), then the most common sense.
+//
+//   npm install --no-save wordnet-db @tensorflow-models/mobilenet
+//   node tools/build-label-hierarchy.mjs
+//
+// Options:
+//   --out <path>        hierarchy to write (default all/label-hierarchy.json)
+//   --manifest <list>   comma separated manifests to take labels from
+//                       (default every all/classifications*.json)
+
+import { readFile, writeFile, readdir } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { validateManifest } from '../manifest.js';
+import { LABEL_HIERARCHY_VERSION } from '../hierarchy.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+const PHYSICAL_ENTITY = 'physical_entity';
+
+const { values: options } = parseArgs({
+    options: {
+        out: { type: 'string', default: 'all/label-hierarchy.json' },
+        manifest: { type: 'string' }
+    }
+});
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});
+
+async function main() {
+    const wordnetPath = loadWordNetPath();
+    const labels = new Set([...loadImageNetClasses(), ...await loadManifestLabels()]);
+    if (labels.size === 0) {
+        throw new Error('No labels found: install @tensorflow-models/mobilenet or classify some posters first.');
+    }
+
+    console.log(`Reading WordNet from ${wordnetPath}`);
+    const synsets = parseData(await readFile(path.join(wordnetPath, 'data.noun'), 'utf8'));
+    const senses = parseIndex(await readFile(path.join(wordnetPath, 'index.noun'), 'utf8'));
+
+    const hierarchy = {};
+    const unmatched = [];
+    [...labels].sort().forEach(label => {
+        const synset = findSynset(label, synsets, senses);
+        if (synset) {
+            hierarchy[label] = getAncestors(synset, synsets);
+        } else {
+            unmatched.push(label);
+        }
+    });
+
+    const outPath = path.resolve(ROOT, options.out);
+    const data = {
+        version: LABEL_HIERARCHY_VERSION,
+        source: `WordNet ${require('wordnet-db').version} noun hypernyms`,
+        labels: hierarchy
+    };
+    await writeFile(outPath, JSON.stringify(data, null, 1) + '\n');
+
+    console.log(`Wrote ${Object.keys(hierarchy).length} labels to ${path.relative(ROOT, outPath)}`);
+    if (unmatched.length > 0) {
+        // These stay ungrouped in the viewer
+        console.warn(`${unmatched.length} labels not found in WordNet: ${unmatched.join(' | ')}`);
+    }
+}
+
+function loadWordNetPath() {
+    try {
+        return require('wordnet-db').path;
+    } catch (error) {
+        throw new Error('Missing dependencies. Run: npm install --no-save wordnet-db @tensorflow-models/mobilenet');
+    }
+}
+
+// The 1000 class names ml5 and the MobileNet package report as labels
+function loadImageNetClasses() {
+    try {
+        const { IMAGENET_CLASSES } = require('@tensorflow-models/mobilenet/dist/imagenet_classes.js');
+        return Object.values(IMAGENET_CLASSES);
+    } catch (error) {
+        console.warn('@tensorflow-models/mobilenet not installed - using manifest labels only');
+        return [];
+    }
+}
+
+async function loadManifestLabels() {
+    let files;
+    if (options.manifest) {
+        files = options.manifest.split(',').map(file => path.resolve(ROOT, file.trim()));
+    } else {
+        const allDir = path.join(ROOT, 'all');
+        files = (await readdir(allDir))
+            .filter(file => /^classifications.*\.json$/.test(file))
+            .map(file => path.join(allDir, file));
+    }
+
+    const labels = [];
+    for (const file of files) {
+        const manifest = validateManifest(JSON.parse(await readFile(file, 'utf8')));
+        Object.values(manifest.images).forEach(entry => {
+            entry.predictions.forEach(p => labels.push(p.label));
+        });
+    }
+    return labels;
+}
+
+// data.noun lines: offset lex_filenum ss_type w_cnt word lex_id [...] p_cnt [ptr...] | gloss
+function parseData(text) {
+    const synsets = new Map();
+    text.split('\n').forEach(line => {
+        if (!line || line.startsWith(' ')) return; // License header
+        const fields = line.split(' | ')[0].split(' ');
+        const offset = fields[0];
+        const wordCount = parseInt(fields[3], 16);
+        const words = [];
+        for (let i = 0; i < wordCount; i++) {
+            words.push(fields[4 + i * 2].replace(/\(.*\)$/, '')); // Drop adjective markers like (a)
+        }
+
+        const index = 4 + wordCount * 2;
+        const pointerCount = parseInt(fields[index], 10);
+        const hypernyms = [];
+        let isInstance = false;
+        for (let i = 0; i < pointerCount; i++) {
+            const [symbol, target, pos] = fields.slice(index + 1 + i * 4, index + 4 + i * 4);
+            if ((symbol === '@' || symbol === '@i') && pos === 'n') {
+                hypernyms.push(target);
+                isInstance = isInstance || symbol === '@i';
+            }
+        }
+        synsets.set(offset, { offset, words, hypernyms, isInstance });
+    });
+    return synsets;
+}
+
+// index.noun lines: lemma pos synset_cnt p_cnt [ptr_symbol...] sense_cnt tagsense_cnt synset_offset...
+// Offsets are listed most common sense first
+function parseIndex(text) {
+    const senses = new Map();
+    text.split('\n').forEach(line => {
+        if (!line || line.startsWith(' ')) return;
+        const fields = line.trim().split(' ');
+        const synsetCount = parseInt(fields[2], 10);
+        senses.set(fields[0], fields.slice(fields.length - synsetCount));
+    });
+    return senses;
+}
+
+function normalizeLemma(word) {
+    return word.trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+function findSynset(label, synsets, senses) {
+    const lemmas = label.split(',').map(normalizeLemma).filter(Boolean);
+    // "jelly fish" is "jellyfish" in WordNet
+    const candidates = senses.get(lemmas[0]) || senses.get(lemmas[0].replace(/_/g, '')) || [];
+    if (candidates.length === 0) return null;
+
+    const score = offset => {
+        const synset = synsets.get(offset);
+        const words = synset.words.map(normalizeLemma);
+        const isPhysical = getAncestorSynsets(synset, synsets).some(s => normalizeLemma(s.words[0]) === PHYSICAL_ENTITY);
+        return (lemmas.every(lemma => words.includes(lemma)) ? 4 : 0) +
+            (isPhysical ? 2 : 0) +
+            (synset.isInstance ? 0 : 1);
+    };
+    // Highest score wins; ties keep index.noun's most-common-first order
+    let best = candidates[0];
+    candidates.forEach(offset => {
+        if (score(offset) > score(best)) best = offset;
+    });
+    return synsets.get(best);
+}
+
+// Hypernym synsets from the direct one up to the root, following the first
+// hypernym wherever WordNet lists several
+function getAncestorSynsets(synset, synsets) {
+    const ancestors = [];
+    const seen = new Set([synset.offset]);
+    let current = synset;
+    while (current.hypernyms.length > 0 && !seen.has(current.hypernyms[0])) {
+        seen.add(current.hypernyms[0]);
+        current = synsets.get(current.hypernyms[0]);
+        ancestors.push(current);
+    }
+    return ancestors;
+}
+
+// Names from the root ("entity") down to the direct hypernym
+function getAncestors(synset, synsets) {
+    return getAncestorSynsets(synset, synsets).reverse().map(s => s.words[0].replace(/_/g, ' '));
+}
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Headless classifier for the posters in all/ - writes the same classification
+// manifest the viewer loads, plus the per-category summary sketch.js prints.
+//
+// Needs a locally bundled MobileNet (no CDN access):
+//   npm install --no-save @tensorflow/tfjs-node @tensorflow-models/mobilenet
+//   node tools/classify.mjs --model models/mobilenet/model.json
+//
+// Options:
+//   --model <path>     TF.js graph model for MobileNet (default models/mobilenet/model.json)
+//   --version <n>      MobileNet version the weights belong to (default 2)
+//   --alpha <n>        MobileNet width multiplier (default 1.0)
+//   --out <path>       manifest to write (default all/classifications.json)
+//   --summary <path>   per-category summary JSON (default all/classification-summary.json)
+//   --top-k <n>        predictions kept per image (default 5)
+//   --limit <n>        classify at most n images this run
+//   --only <list>      comma separated filenames, * wildcards allowed (e.g. O1161*)
+//   --fresh            ignore an existing manifest instead of resuming from it
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    createManifest,
+    addManifestEntry,
+    partitionByManifest,
+    validateManifest,
+    serializeManifest,
+    summarizeManifest,
+    DEFAULT_TOP_K
+} from '../manifest.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGE_DIR = path.join(ROOT, 'all');
+const CHECKPOINT_EVERY = 25; // images between manifest writes, so an interrupted run can resume
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            model: { type: 'string', default: 'models/mobilenet/model.json' },
+            version: { type: 'string', default: '2' },
+            alpha: { type: 'string', default: '1.0' },
+            out: { type: 'string', default: 'all/classifications.json' },
+            summary: { type: 'string', default: 'all/classification-summary.json' },
+            'top-k': { type: 'string', default: String(DEFAULT_TOP_K) },
+            limit: { type: 'string' },
+            only: { type: 'string' },
+            fresh: { type: 'boolean', default: false }
+        }
+    });
+    const topK = parsePositiveInteger('--top-k', options['top-k']);
+    const limit = options.limit === undefined ? undefined : parsePositiveInteger('--limit', options.limit);
+    const modelPath = path.resolve(ROOT, options.model);
+    const outPath = path.resolve(ROOT, options.out);
+    const summaryPath = path.resolve(ROOT, options.summary);
+
+    if (!existsSync(modelPath)) {
+        throw new Error(`MobileNet model not found at ${modelPath}. Download the TF.js MobileNet weights there first.`);
+    }
+
+    const list = await readFile(path.join(IMAGE_DIR, 'list.txt'), 'utf8');
+    let imageFiles = list.split('\n').map(line => line.trim()).filter(file => file.endsWith('.jpg'));
+    imageFiles = filterOnly(imageFiles, options.only);
+
+    const modelInfo = {
+        name: 'MobileNet',
+        backend: 'mobilenet',
+        version: `v${options.version}-${options.alpha} (${path.relative(ROOT, modelPath)})`
+    };
+
+    // Resume from a previous (possibly interrupted) run
+    let manifest = null;
+    if (!options.fresh && existsSync(outPath)) {
+        manifest = validateManifest(JSON.parse(await readFile(outPath, 'utf8')));
+        if (manifest.model.version !== modelInfo.version) {
+            console.warn(`Resuming a manifest produced by ${manifest.model.version}; new entries use ${modelInfo.version}`);
+        }
+    }
+    const { cached, missing } = partitionByManifest(manifest, imageFiles);
+    manifest = manifest || createManifest(modelInfo);
+
+    let todo = missing;
+    if (limit !== undefined) {
+        todo = todo.slice(0, limit);
+    }
+    console.log(`${imageFiles.length} images selected, ${cached.length} already classified, ${todo.length} to classify`);
+
+    const { tf, model } = await loadModel(modelPath, options);
+
+    const failures = [];
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        interrupted = true;
+    });
+
+    for (let i = 0; i < todo.length && !interrupted; i++) {
+        const file = todo[i];
+        let tensor;
+        try {
+            const buffer = await readFile(path.join(IMAGE_DIR, file));
+            tensor = tf.node.decodeImage(buffer, 3);
+        } catch (error) {
+            failures.push({ filename: file, reason: `decode error: ${error.message}` });
+            continue;
+        }
+
+        try {
+            const predictions = await model.classify(tensor, topK);
+            addManifestEntry(manifest, file, predictions.map(p => ({
+                label: p.className,
+                confidence: p.probability
+            })), topK, modelInfo.version);
+        } catch (error) {
+            failures.push({ filename: file, reason: `classifier error: ${error.message}` });
+        } finally {
+            tensor.dispose();
+        }
+
+        if ((i + 1) % CHECKPOINT_EVERY === 0) {
+            await writeAtomic(outPath, serializeManifest(manifest));
+            process.stdout.write(`\r${i + 1}/${todo.length}`);
+        }
+    }
+    process.stdout.write('\n');
+
+    await writeAtomic(outPath, serializeManifest(manifest));
+    const summary = summarizeManifest(manifest);
+    await writeAtomic(summaryPath, JSON.stringify(Object.fromEntries(summary), null, 2) + '\n');
+    printSummary(summary);
+
+    console.log(`Manifest written to ${path.relative(ROOT, outPath)}`);
+    if (interrupted) {
+        console.log('Interrupted - run the same command again to resume.');
+    }
+
+    if (failures.length > 0) {
+        console.error(`\n${failures.length} image(s) could not be classified:`);
+        failures.forEach(failure => console.error(`  ${failure.filename}: ${failure.reason}`));
+        process.exitCode = 1;
+    } else if (interrupted) {
+        process.exitCode = 130;
+    }
+}
+
+async function loadModel(modelPath, options) {
+    let tf, mobilenet;
+    try {
+        tf = await import('@tensorflow/tfjs-node');
+        mobilenet = await import('@tensorflow-models/mobilenet');
+    } catch (error) {
+        throw new Error('Missing dependencies. Run: npm install --no-save @tensorflow/tfjs-node @tensorflow-models/mobilenet');
+    }
+    const model = await mobilenet.load({
+        version: parseInt(options.version, 10),
+        alpha: parseFloat(options.alpha),
+        modelUrl: tf.io.fileSystem(modelPath)
+    });
+    return { tf, model };
+}
+
+function parsePositiveInteger(name, value) {
+    if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        throw new Error(`${name} must be a positive integer, got "${value}"`);
+    }
+    return parseInt(value, 10);
+}
+
+// Keep files matching any of the comma separated names/patterns
+function filterOnly(imageFiles, only) {
+    if (!only) {
+        return imageFiles;
+    }
+    const patterns = only.split(',').map(pattern => pattern.trim()).filter(Boolean).map(pattern =>
+        new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$')
+    );
+    return imageFiles.filter(file => patterns.some(pattern => pattern.test(file)));
+}
+
+// Same layout as the summary sketch.js logs in processImages
+function printSummary(summary) {
+    console.log('\nCategories Summary:');
+    console.log('==================');
+    summary.forEach((data, category) => {
+        console.log(`\n${category}:`);
+        console.log(`Count: ${data.count} images`);
+        console.log(`Average confidence: ${(data.averageConfidence * 100).toFixed(2)}%`);
+        console.log('Images:', data.images.join(', '));
+        console.log('------------------');
+    });
+}
+
+// Write through a temp file so an interrupted write never leaves a truncated manifest
+async function writeAtomic(filePath, contents) {
+    const tmpPath = filePath + '.tmp';
+    await writeFile(tmpPath, contents);
+    await rename(tmpPath, filePath);
+}
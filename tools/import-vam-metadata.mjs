@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+// Build all/metadata.json from V&A Collections API responses.
+//
+//   node tools/import-vam-metadata.mjs responses/*.json     # saved API responses
+//   node tools/import-vam-metadata.mjs --fetch              # fetch missing posters once
+//
+// Saved responses can be single objects (/v2/museumobject/<id>), search
+// results (/v2/objects/search) or arrays of either. Existing entries in the
+// output are kept and updated, so the command can be run repeatedly.
+//
+// Options:
+//   --out <path>     metadata store to write (default all/metadata.json)
+//   --fetch          fetch records for posters in all/list.txt that have no metadata yet
+//   --delay <ms>     pause between API requests when fetching (default 250)
+
+import { readFile, writeFile, readdir, stat } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    createMetadataStore,
+    extractVamRecords,
+    addVamRecords,
+    serializeMetadataStore,
+    systemNumberFromFilename,
+    METADATA_VERSION,
+    VAM_API_URL
+} from '../metadata.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', default: 'all/metadata.json' },
+            fetch: { type: 'boolean', default: false },
+            delay: { type: 'string', default: '250' }
+        }
+    });
+    const outPath = path.resolve(ROOT, options.out);
+
+    let store = createMetadataStore();
+    if (existsSync(outPath)) {
+        store = JSON.parse(await readFile(outPath, 'utf8'));
+        if (store.version !== METADATA_VERSION) {
+            throw new Error(`${options.out} has unsupported version ${store.version}`);
+        }
+    }
+    const before = Object.keys(store.objects).length;
+
+    for (const file of await expandInputs(positionals)) {
+        const json = JSON.parse(await readFile(file, 'utf8'));
+        const added = addVamRecords(store, extractVamRecords(json));
+        console.log(`${path.relative(ROOT, file)}: ${added} record(s)`);
+    }
+
+    const failures = [];
+    if (options.fetch) {
+        const list = await readFile(path.join(ROOT, 'all', 'list.txt'), 'utf8');
+        const missing = list.split('\n')
+            .map(line => line.trim())
+            .filter(file => file.endsWith('.jpg'))
+            .map(systemNumberFromFilename)
+            .filter(systemNumber => !store.objects[systemNumber]);
+
+        console.log(`Fetching ${missing.length} record(s) from ${VAM_API_URL}`);
+        for (let i = 0; i < missing.length; i++) {
+            try {
+                const response = await fetch(VAM_API_URL + missing[i]);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                addVamRecords(store, extractVamRecords(await response.json()));
+            } catch (error) {
+                failures.push({ systemNumber: missing[i], reason: error.message });
+            }
+            process.stdout.write(`\r${i + 1}/${missing.length}`);
+            await new Promise(resolve => setTimeout(resolve, parseInt(options.delay, 10)));
+        }
+        process.stdout.write('\n');
+    }
+
+    await writeFile(outPath, serializeMetadataStore(store));
+    const after = Object.keys(store.objects).length;
+    console.log(`${path.relative(ROOT, outPath)}: ${after} object(s), ${after - before} new`);
+
+    if (failures.length > 0) {
+        console.error(`\n${failures.length} record(s) could not be fetched:`);
+        failures.forEach(failure => console.error(`  ${failure.systemNumber}: ${failure.reason}`));
+        process.exitCode = 1;
+    }
+}
+
+// Accept files and directories of .json files
+async function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        const inputPath = path.resolve(input);
+        if ((await stat(inputPath)).isDirectory()) {
+            const entries = await readdir(inputPath);
+            entries.filter(entry => entry.endsWith('.json')).sort()
+                .forEach(entry => files.push(path.join(inputPath, entry)));
+        } else {
+            files.push(inputPath);
+        }
+    }
+    return files;
+}
@@ -0,0 +1,149 @@
+// Train a poster classifier in the browser from hand-labelled posters (see
+// corrections.js). ml5's featureExtractor runs every poster through MobileNet
+// and trains a small classification head on the resulting features (transfer
+// learning). Part of each label's posters is held out to measure the model on
+// posters it hasn't seen.
+//
+// The trained model is saved as model.json + model.weights.bin, with training.json
+// next to them: { version, labels, trainingCount, validation: [{ filename, label }] }.
+// version is the time training finished, so results of an older model aren't
+// reused for a new one. Served from models/trained/ it is the `trained` backend
+// in classifiers.js.
+//
+// Examples are { filename, label }.
+
+import { loadImage } from './classification-job.js';
+import { downloadText } from './selection-export.js';
+
+export const DEFAULT_EPOCHS = 20;
+export const DEFAULT_VALIDATION_SPLIT = 0.2;
+export const MIN_EXAMPLES_PER_LABEL = 2; // One to train on, one to validate with
+const MODEL_NAME = 'model';
+export const TRAINING_INFO_FILE = 'training.json';
+
+// Labels with too few posters to both train and validate on are left out
+export function selectTrainableExamples(examples) {
+    const counts = new Map();
+    examples.forEach(example => counts.set(example.label, (counts.get(example.label) || 0) + 1));
+
+    const labels = [...counts.keys()].filter(label => counts.get(label) >= MIN_EXAMPLES_PER_LABEL).sort();
+    const skippedLabels = [...counts.keys()].filter(label => counts.get(label) < MIN_EXAMPLES_PER_LABEL).sort();
+    return {
+        examples: examples.filter(example => counts.get(example.label) >= MIN_EXAMPLES_PER_LABEL),
+        labels,
+        skippedLabels
+    };
+}
+
+// Hold out validationSplit of every label's examples (at least one, never all of
+// them) so each label is both trained and measured
+export function splitExamples(examples, validationSplit, random = Math.random) {
+    const byLabel = new Map();
+    examples.forEach(example => {
+        if (!byLabel.has(example.label)) byLabel.set(example.label, []);
+        byLabel.get(example.label).push(example);
+    });
+
+    const training = [];
+    const validation = [];
+    byLabel.forEach(items => {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        const holdOut = validationSplit > 0
+            ? Math.min(shuffled.length - 1, Math.max(1, Math.round(shuffled.length * validationSplit)))
+            : 0;
+        validation.push(...shuffled.slice(0, holdOut));
+        training.push(...shuffled.slice(holdOut));
+    });
+    return { training, validation };
+}
+
+// Run fn over the items one at a time; posters that fail to load are skipped
+function forEachInSequence(items, fn) {
+    return items.reduce((previous, item, index) => previous.then(() =>
+        fn(item, index).catch(error => {
+            console.warn(`Skipping ${item.filename}:`, error.message);
+        })
+    ), Promise.resolve());
+}
+
+// Resolves to { extractor, version, labels, trainingCount, validation, accuracy } where
+// validation is [{ filename, label, predicted, confidence }] and accuracy is the
+// share of held-out posters predicted correctly (null without a validation split).
+// onProgress({ stage, done, total, loss }) with stage 'loading', 'features',
+// 'training' (once per batch, with its loss) or 'validating'.
+export function trainClassifier({
+    examples,
+    epochs = DEFAULT_EPOCHS,
+    validationSplit = DEFAULT_VALIDATION_SPLIT,
+    onProgress = () => {}
+}) {
+    const trainable = selectTrainableExamples(examples);
+    const labels = trainable.labels;
+    if (labels.length < 2) {
+        return Promise.reject(new Error(`Needs at least two labels with ${MIN_EXAMPLES_PER_LABEL} or more posters each`));
+    }
+    const { training, validation } = splitExamples(trainable.examples, validationSplit);
+
+    onProgress({ stage: 'loading' });
+    const extractor = ml5.featureExtractor('MobileNet', { numLabels: labels.length, epochs });
+    let trainingCount = 0;
+
+    return Promise.resolve(extractor.ready)
+        .then(() => {
+            extractor.classification();
+            return forEachInSequence(training, (example, index) => loadImage(example.filename)
+                .then(img => extractor.addImage(img, example.label))
+                .then(() => {
+                    trainingCount++;
+                    onProgress({ stage: 'features', done: index + 1, total: training.length });
+                }));
+        })
+        // ml5 reports each batch's loss, then null when training has finished
+        .then(() => new Promise((resolve, reject) => {
+            Promise.resolve(extractor.train(loss => {
+                if (loss === null) {
+                    resolve();
+                } else {
+                    onProgress({ stage: 'training', loss: Number(loss) });
+                }
+            })).catch(reject);
+        }))
+        .then(() => {
+            const results = [];
+            return forEachInSequence(validation, (example, index) => loadImage(example.filename)
+                .then(img => extractor.classify(img))
+                .then(predictions => {
+                    const best = predictions[0];
+                    results.push({ filename: example.filename, label: example.label, predicted: best.label, confidence: best.confidence });
+                    onProgress({ stage: 'validating', done: index + 1, total: validation.length });
+                }))
+                .then(() => results);
+        })
+        .then(results => ({
+            extractor,
+            version: new Date().toISOString(),
+            labels,
+            trainingCount,
+            validation: results,
+            accuracy: results.length > 0
+                ? results.filter(result => result.predicted === result.label).length / results.length
+                : null
+        }));
+}
+
+// Downloads model.json, model.weights.bin and training.json
+export function saveTrainedModel(result) {
+    const info = {
+        version: result.version,
+        labels: result.labels,
+        trainingCount: result.trainingCount,
+        validation: result.validation.map(({ filename, label }) => ({ filename, label }))
+    };
+    return Promise.resolve(result.extractor.save(undefined, MODEL_NAME)).then(() => {
+        downloadText(JSON.stringify(info, null, 2) + '\n', TRAINING_INFO_FILE, 'application/json');
+    });
+}
@@ -0,0 +1,79 @@
+// The shareable part of the viewer state, kept in the URL hash:
+//   #camera=x,y,z&target=x,y,z&layout=timeline&selected=O123.jpg
+//    &q=comic&category=comic book&category=poster&min=0.5&max=1&mode=dim&level=7&merge=5
+// Only values that differ from the defaults are written, so plain links stay short.
+
+import { createFilterState } from './filters.js';
+
+function formatVector(vector) {
+    return [vector.x, vector.y, vector.z].map(v => Number(v.toFixed(2))).join(',');
+}
+
+function parseVector(value) {
+    if (!value) return null;
+    const parts = value.split(',').map(Number);
+    if (parts.length !== 3 || parts.some(v => !isFinite(v))) return null;
+    return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+function parseFraction(value, fallback) {
+    const number = parseFloat(value);
+    return isFinite(number) ? Math.min(1, Math.max(0, number)) : fallback;
+}
+
+// state: { camera: { position, target }, layout, selected, filters, grouping: { depth, threshold } }
+// The grouping travels with the filters because category filters name its groups.
+export function encodeViewState({ camera, layout, selected, filters, grouping }) {
+    const params = new URLSearchParams();
+    if (camera) {
+        params.set('camera', formatVector(camera.position));
+        params.set('target', formatVector(camera.target));
+    }
+    if (layout && layout !== 'spiral') params.set('layout', layout);
+    if (selected) params.set('selected', selected);
+    if (filters) {
+        if (filters.text.trim()) params.set('q', filters.text);
+        filters.categories.forEach(category => params.append('category', category));
+        if (filters.minConfidence > 0) params.set('min', String(filters.minConfidence));
+        if (filters.maxConfidence < 1) params.set('max', String(filters.maxConfidence));
+        if (filters.mode !== 'hide') params.set('mode', filters.mode);
+    }
+    if (grouping) {
+        if (isFinite(grouping.depth)) params.set('level', String(grouping.depth));
+        if (grouping.threshold > 1) params.set('merge', String(grouping.threshold));
+    }
+    // Commas are fine in a fragment and keep the coordinates readable
+    return params.toString().replace(/%2C/g, ',');
+}
+
+// The state in a hash written by encodeViewState; missing or malformed values are left out
+export function decodeViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const position = parseVector(params.get('camera'));
+    const target = parseVector(params.get('target'));
+    if (position && target) {
+        state.camera = { position, target };
+    }
+    if (params.get('layout')) state.layout = params.get('layout');
+    if (params.get('selected')) state.selected = params.get('selected');
+
+    const filters = createFilterState();
+    filters.text = params.get('q') || '';
+    params.getAll('category').forEach(category => filters.categories.add(category));
+    filters.minConfidence = parseFraction(params.get('min'), 0);
+    filters.maxConfidence = Math.max(filters.minConfidence, parseFraction(params.get('max'), 1));
+    filters.mode = params.get('mode') === 'dim' ? 'dim' : 'hide';
+    state.filters = filters;
+
+    // Infinity is the classifier's own labels, 0 no merging
+    const level = parseInt(params.get('level'), 10);
+    const merge = parseInt(params.get('merge'), 10);
+    state.grouping = {
+        depth: level >= 1 ? level : Infinity,
+        threshold: merge > 1 ? merge : 0
+    };
+
+    return state;
+}
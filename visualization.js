@@ -1,20 +1,162 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import {
+    createManifest,
+    addManifestEntry,
+    getManifestEntry,
+    partitionByManifest,
+    loadManifest,
+    downloadManifest,
+    hasLabelInTopK,
+    validateManifest,
+    DEFAULT_TOP_K
+} from './manifest.js';
+import { createClassifier, getSelectedClassifierId, CLASSIFIER_CONFIGS } from './classifiers.js';
+import {
+    loadCachedEmbeddingLayout,
+    computeEmbeddingLayout,
+    saveEmbeddingLayout,
+    downloadEmbeddingLayout
+} from './embedding-layout.js';
+import { clusterLayout, groupLayout, timelineLayout } from './layouts.js';
+import { createFilterState, matchesFilters, countCategoryFacets, isFilterActive, clearSearchText } from './filters.js';
+import { createRecordStore } from './records.js';
+import { createInstancedPosterRenderer } from './instanced-renderer.js';
+import { createTextureCache, estimateTextureBytes } from './texture-cache.js';
+import { createTextureStreamer } from './texture-streamer.js';
+import { createClassificationJob } from './classification-job.js';
+import { loadMetadata, getMetadata, collectionsUrl } from './metadata.js';
+import { encodeViewState, decodeViewState } from './url-state.js';
+import { toSystemNumberList, toCsv, downloadText } from './selection-export.js';
+import {
+    loadLabelHierarchy,
+    getMaxDepth,
+    generalizeLabel,
+    mergeSmallCategories
+} from './hierarchy.js';
+import {
+    createBookmark,
+    loadBookmarks,
+    saveBookmarks,
+    parseBookmarks,
+    downloadBookmarks
+} from './bookmarks.js';
+import {
+    loadCorrections,
+    saveCorrections,
+    parseCorrections,
+    setCorrection,
+    downloadCorrections,
+    loadCorrectionUser,
+    saveCorrectionUser
+} from './corrections.js';
+import {
+    selectTrainableExamples,
+    trainClassifier,
+    saveTrainedModel,
+    DEFAULT_EPOCHS,
+    DEFAULT_VALIDATION_SPLIT,
+    MIN_EXAMPLES_PER_LABEL
+} from './training.js';
+import { parseGroundTruth, evaluateManifest } from './evaluation.js';
+import { summarizeCategories, confidenceHistogram } from './statistics.js';
 
 let camera, scene, renderer, controls;
+let labelRenderer; // Draws the HTML category labels over the WebGL canvas
 let particles = {};
-let imageData = new Map();
-let highResTextures = new Map();
-let pendingTextures = new Set();
+let recordStore = createRecordStore(); // Image records by filename and category, see records.js
+// Selection state: the selected poster (moved with the keyboard) and whether its preview
+// is open. Changed only through setSelection.
+let selectedRecordId = null;
+let previewOpen = false;
+let hoveredRecordId = null; // Poster under the pointer, see updateHover
+let hoverDirty = false; // Pointer moved since the last hover check
+let pointerOverCanvas = false;
+const pointerClient = { x: 0, y: 0 }; // Pointer in page pixels, for the tooltip
+const HOVER_SCALE = 1.4;
+const SELECTED_SCALE = 1.6;
+
+// Posters collected with shift/ctrl-click or box selection, for the lightbox and exports
+const selectionSet = new Set(); // record ids in the order they were added
+let boxSelection = null; // { startX, startY, additive, element } while a box is dragged
+let boxSelectMode = false; // The next drag draws a box (Alt+drag always does)
+const SET_SCALE = 1.25;
+const SET_TINT = new THREE.Color(1, 0.85, 0.4); // Sprite tint for posters in the set
+const NO_TINT = new THREE.Color(1, 1, 1);
 let frameCount = 0;
-let classifier;
+let classifier; // Backend adapter from classifiers.js, picked with ?classifier=<id>
+let classificationManifest = null; // Cached results, loaded from all/classifications.json when present
+let posterMetadata = null; // V&A metadata store from all/metadata.json, see tools/import-vam-metadata.mjs
+let classificationJob = null; // Running classification, see classification-job.js
+let classificationEngine = null; // Model version the running job classifies with
+const classificationFailures = new Map(); // filename -> reason, for the failure report
+let pendingImages = []; // Classified images waiting to be added to the scene
+let pendingImagesTimeout = null;
+let sceneStarted = false;
+const SCENE_UPDATE_INTERVAL = 500; // ms between adding streamed-in results to the scene
+
+// Camera, selection, filters and layout are mirrored in the URL hash, see url-state.js
+const DEFAULT_CAMERA_POSITION = new THREE.Vector3(411.84, 386.34, 898.09);
+const DEFAULT_CAMERA_TARGET = new THREE.Vector3(-142.38, -175.58, 284.02);
+const sharedView = decodeViewState(window.location.hash); // Restored once the posters are loaded
+let urlUpdateTimeout = null;
+
+// Saved viewpoints and the tour that plays them in order, see bookmarks.js
+let bookmarks = loadBookmarks();
+let tour = null; // { index, paused, timer, nextStopAt, remaining } while a tour plays
+let cameraTransition = null; // { start, duration, from/to position and target } while the camera flies
+const TOUR_TRANSITION_DURATION = 3000; // ms to fly between tour stops
+const MIN_FLIGHT_DURATION = 600; // ms, camera flights take longer the further they go
+const MAX_FLIGHT_DURATION = 2000;
+const POSTER_VIEW_DISTANCE = 60; // How close a clicked poster is framed (controls.minDistance is 50)
+const pointerDown = { x: 0, y: 0 }; // Where the last press started, to tell clicks from drags
+const DOUBLE_CLICK_DELAY = 300; // ms a click waits before flying, in case it becomes a double-click
+let pendingFlight = null; // Timeout of a click's fly-to, cancelled by a double-click
+
+// Labels people assigned by hand, applied over the classifier's, see corrections.js
+let corrections = loadCorrections();
+let correctionUser = loadCorrectionUser(); // Name recorded with new corrections
+let trainingRun = null; // { losses, result } of the classifier trained from the corrections, see training.js
+// Evaluation dashboard inputs, see evaluation.js. heldOutOf is the model version the
+// ground truth was held out from, when it is a trained model's validation posters.
+let evaluation = { truth: null, truthSource: '', heldOutOf: null, manifest: null, manifestSource: '' };
+const CONFUSION_MAX_COLUMNS = 30; // Rarer predicted labels share one column
+
+// Statistics panel, see statistics.js
+let statsSort = { key: 'count', descending: true }; // Column the category table is sorted by
+let statsCategory = null; // Category picked in the table: highlighted and shown in the histogram
 
 const PARTICLE_SIZE = 5;
 const SPACING = 10;
 const raycaster = new THREE.Raycaster();
 const pointer = new THREE.Vector2();
-const textureLoader = new THREE.TextureLoader();
-const LOD_DISTANCE = 50;
+const LOD_DISTANCE = 50; // Posters closer than this get the full resolution image
+const TEXTURE_BUDGET_MB = 256; // Textures beyond this are disposed, least recently used first
+const SHOW_LOD_DEBUG = new URLSearchParams(window.location.search).has('debug');
+const MAX_CONCURRENT_TEXTURE_LOADS = 8;
+
+// Texture loads are queued by on-screen size and only made for posters in view
+const textureStreamer = createTextureStreamer({ maxConcurrent: MAX_CONCURRENT_TEXTURE_LOADS });
+const frustum = new THREE.Frustum();
+const projectionScreenMatrix = new THREE.Matrix4();
+const boundingSphere = new THREE.Sphere();
+
+// Thumbnails from all/thumbnails/ at distance, full size all/<file> up close
+const textureCache = createTextureCache({
+    budgetBytes: TEXTURE_BUDGET_MB * 1024 * 1024,
+    onEvict: texture => {
+        // Only unpinned textures are evicted, and those aren't on any sprite
+        texture.dispose();
+    }
+});
+const TOP_K = DEFAULT_TOP_K; // Number of predictions kept per poster
+const LABEL_MATCH_K = 3; // How deep in the ranking a label counts as a match when filtering by it
+
+// Rendering mode: 'sprites' (one textured sprite per poster) or 'instanced'
+// (?render=instanced - thumbnail atlases drawn as instanced billboards)
+const RENDER_MODE = new URLSearchParams(window.location.search).get('render') === 'instanced' ? 'instanced' : 'sprites';
+let posterRenderer = null; // Instanced renderer, only in 'instanced' mode
 
 // Add these variables at the top of your file with other globals
 let autoRotate = false; // Controls whether camera automatically rotates
@@ -23,6 +165,41 @@ let userInteracted = false; // To track if user has manually controlled the came
 let lastUserInteractionTime = 0;
 const AUTO_ROTATE_RESUME_DELAY = 10000; // ms to wait after interaction before resuming animation
 
+// Filter state shared by the confidence slider and the search/filter panel
+let activeFilters = createFilterState();
+const DIMMED_OPACITY = 0.08; // Opacity of filtered-out posters in 'dim' mode
+
+// Layout state - every image keeps a target position per layout mode
+let currentLayout = 'spiral';
+let layoutTransition = null; // { start, moves: [{ sprite, from, to }] } while sprites are moving
+let embeddingLayout = null; // Cached/computed similarity coordinates, see embedding-layout.js
+const LAYOUT_TRANSITION_DURATION = 1500; // ms
+let layoutGuides = {}; // Floating labels per layout: { [name]: [{ text, x, y, z }] }
+let guideGroup = null; // Label sprites of the active layout
+
+// Layout modes offered in the toggle; metadata layouts need all/metadata.json
+const LAYOUTS = [
+    { name: 'spiral', label: 'Categories' },
+    { name: 'embedding', label: 'Similarity' },
+    { name: 'timeline', label: 'Timeline', needsMetadata: true },
+    { name: 'maker', label: 'Maker', needsMetadata: true },
+    { name: 'place', label: 'Place', needsMetadata: true }
+];
+
+// Grouping: posters are grouped by their top label generalized to groupingDepth levels
+// of the WordNet hierarchy (see hierarchy.js), and groups smaller than mergeThreshold
+// are merged into "Other"
+let labelHierarchy = null;
+let groupingDepth = Infinity; // Infinity = the classifier's own labels
+let mergeThreshold = 0; // 0 = no merging
+
+// Floating category labels above each cluster, see updateCategoryLabels
+let categoryLabelGroup = null;
+let categoryLabelsDirty = false; // Positions/counts need recomputing
+const LABEL_FADE_NEAR = 400; // Labels are fully opaque closer than this
+const LABEL_FADE_FAR = 1500; // and gone beyond this
+const LABELLED_LAYOUTS = ['spiral', 'embedding']; // Metadata layouts have their own guide labels
+
 // Create a single placeholder texture for all sprites initially
 const placeholderCanvas = document.createElement('canvas');
 const ctx = placeholderCanvas.getContext('2d');
@@ -49,12 +226,20 @@ function init() {
     renderer = new THREE.WebGLRenderer();
     renderer.setSize(window.innerWidth, window.innerHeight);
     document.getElementById('container').appendChild(renderer.domElement);
+    
+    // HTML labels on top of the canvas; only the labels themselves take clicks
+    labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.domElement.style.position = 'absolute';
+    labelRenderer.domElement.style.top = '0';
+    labelRenderer.domElement.style.pointerEvents = 'none';
+    document.getElementById('container').appendChild(labelRenderer.domElement);
 
     // Controls setup
     controls = new OrbitControls(camera, renderer.domElement);
     
     // Set the target that the camera is looking at
-    controls.target.set(-142.38, -175.58, 284.02);
+    controls.target.copy(DEFAULT_CAMERA_TARGET);
 
     // Slow down the controls
     controls.rotateSpeed = 0.3;
@@ -71,23 +256,11 @@ function init() {
     // Update controls after setting target
     controls.update();
 
-    // Alternative implementation with throttled logging
-    let logThrottleTimeout;
     let throttleTimeout;
 
     controls.addEventListener('change', function() {
-        // Throttled logging
-        if (!logThrottleTimeout) {
-            logThrottleTimeout = setTimeout(() => {
-                console.log('Camera Position:', {
-                    x: camera.position.x.toFixed(2),
-                    y: camera.position.y.toFixed(2),
-                    z: camera.position.z.toFixed(2),
-                    lookingAt: controls.target
-                });
-                logThrottleTimeout = null;
-            }, 500); // Log at most every 500ms
-        }
+        // Keep the camera in the shareable URL
+        scheduleUrlUpdate();
         
         // Existing throttled LOD update
         if (!throttleTimeout) {
@@ -102,6 +275,7 @@ function init() {
     controls.addEventListener('start', function() {
         userInteracted = true;
         autoRotate = false;
+        cameraTransition = null; // The user takes over from a running fly-to
     });
 
     // Add this new listener to detect when interaction ends
@@ -111,20 +285,78 @@ function init() {
 
     // Events
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('hashchange', function() {
+        applyViewState(decodeViewState(window.location.hash));
+    });
+    window.addEventListener('keydown', onTourKeyDown);
+    window.addEventListener('keydown', onSelectionKeyDown);
     window.addEventListener('mousemove', onPointerMove);
+    window.addEventListener('pointerdown', function(event) {
+        pointerDown.x = event.clientX;
+        pointerDown.y = event.clientY;
+    });
+    // Capture phase, so a box selection can switch OrbitControls off before it sees the press
+    window.addEventListener('pointerdown', onBoxSelectStart, true);
+    window.addEventListener('pointermove', onBoxSelectMove);
+    window.addEventListener('pointerup', onBoxSelectEnd);
     window.addEventListener('click', onClick);
+    window.addEventListener('dblclick', onDoubleClick);
 
     // Create user navigation guide
     createNavigationGuide();
     
+    // Texture memory/LOD overlay, shown with ?debug
+    if (SHOW_LOD_DEBUG) {
+        createLODDebugOverlay();
+    }
+    
     // Create confidence level slider
     createConfidenceSlider();
     
+    // Create search and faceted filter panel
+    createFilterPanel();
+    
+    // Create collapsible statistics panel
+    createStatsPanel();
+    
+    // Create grouping level and merge controls
+    createGroupingControl();
+    
     // Create reset view button
     createResetViewButton();
     
-    // Initialize ML classifier only once
-    classifier = ml5.imageClassifier("MobileNet");
+    // Create button to write the classification manifest back out
+    createSaveManifestButton();
+    
+    // Create button that copies a link to the current view
+    createCopyLinkButton();
+    
+    // Create saved viewpoints panel with the tour controls
+    createBookmarkPanel();
+    
+    // Create button for the evaluation against ground-truth labels
+    createEvaluationButton();
+    
+    // Create panel for the hand-corrected labels
+    createCorrectionsPanel();
+    
+    // Create bar for the multi-selection: box select, compare and export
+    createSelectionBar();
+    
+    // The grouping and filters of a shared link apply to posters as they load
+    groupingDepth = sharedView.grouping.depth;
+    mergeThreshold = sharedView.grouping.threshold;
+    activeFilters = sharedView.filters;
+    updateFilterPanel();
+    
+    // The classifier is only loaded if some posters are missing from its manifest
+    classifier = createClassifier(getSelectedClassifierId());
+    
+    // Create selector for switching between stored result sets
+    createResultSetSelector();
+    
+    // Create toggle between the category spiral and the similarity layout
+    createLayoutToggle();
     
     // Start loading process
     loadAndProcessImages();
@@ -132,8 +364,112 @@ function init() {
 
 function loadAndProcessImages() {
     // Show loading indicator
+    createProgressOverlay('Loading images...');
+
+    Promise.all([
+        fetch('all/list.txt').then(response => {
+            if (!response.ok) {
+                throw new Error(`all/list.txt could not be loaded (HTTP ${response.status})`);
+            }
+            return response.text();
+        }),
+        loadManifest(classifier.manifestUrl),
+        loadMetadata(),
+        loadLabelHierarchy(),
+        // Backends whose model can be replaced tell which one is there now
+        classifier.resolveVersion ? classifier.resolveVersion() : null
+    ])
+        .then(([text, storedManifest, metadataStore, hierarchy, modelVersion]) => {
+            posterMetadata = metadataStore;
+            updateLayoutToggle(); // Metadata layouts become available
+            labelHierarchy = hierarchy;
+            updateGroupingControl();
+            
+            const imageFiles = text.split('\n').map(file => file.trim()).filter(file => file.endsWith('.jpg'));
+            if (imageFiles.length === 0) {
+                throw new Error('all/list.txt does not list any .jpg files');
+            }
+            
+            // Never mix results from different backends in one result set
+            if (storedManifest && storedManifest.model.backend && storedManifest.model.backend !== classifier.id) {
+                console.warn(`Ignoring ${classifier.manifestUrl}: it was produced by the ${storedManifest.model.backend} backend`);
+                storedManifest = null;
+            }
+            // ...nor results of a model that has since been replaced
+            if (storedManifest && modelVersion && storedManifest.model.version !== modelVersion) {
+                console.warn(`Ignoring ${classifier.manifestUrl}: it was produced by ${storedManifest.model.version}, the model is now ${modelVersion}`);
+                storedManifest = null;
+            }
+            
+            classificationManifest = storedManifest || createManifest({
+                name: classifier.name,
+                version: classifier.version,
+                backend: classifier.id
+            });
+            
+            // Seed the scene with everything the manifest already knows about
+            const { cached, missing } = partitionByManifest(storedManifest, imageFiles);
+            addImagesToScene(cached.map(file =>
+                createImageEntry(file, getManifestEntry(classificationManifest, file).predictions)
+            ));
+            
+            if (missing.length === 0) {
+                finishLoading();
+                return;
+            }
+            
+            // Classify the rest; sprites appear in their category as results stream in
+            startClassification(missing);
+        })
+        .catch(error => {
+            console.error("Error loading image list:", error);
+            showLoadingError(error);
+        });
+}
+
+// Loading overlay with progress, counts and the pause/cancel controls
+function createProgressOverlay(title) {
+    createLoadingOverlay('loading', `
+        ${title} <span id="progress">0%</span>
+        <div id="progress-details" style="font-size: 12px; margin-top: 6px;"></div>
+        <div id="progress-controls" style="display: none; margin-top: 10px; font-size: 12px;">
+            <span id="progress-pause" style="cursor: pointer; text-decoration: underline; margin-right: 10px;">Pause</span>
+            <span id="progress-cancel" style="cursor: pointer; text-decoration: underline;">Cancel</span>
+        </div>
+    `);
+}
+
+// Nothing can be shown without the image list - explain why and offer to try again
+function showLoadingError(error) {
+    const loadingDiv = document.getElementById('loading');
+    loadingDiv.innerHTML = `
+        <div>Error loading images: ${escapeHtml(error.message)}</div>
+        <div style="font-size: 12px; margin-top: 6px;">
+            The viewer expects the posters in <code>all/</code> and their filenames in <code>all/list.txt</code>.
+        </div>
+        <div id="loading-retry" style="cursor: pointer; text-decoration: underline; margin-top: 10px; font-size: 12px;">Try again</div>
+    `;
+    document.getElementById('loading-retry').addEventListener('click', function() {
+        loadingDiv.remove();
+        loadAndProcessImages();
+    });
+}
+
+// The classifier itself couldn't be loaded - one error instead of a failure per poster
+function showClassifierError(message, count) {
+    const loadingDiv = document.getElementById('loading');
+    loadingDiv.innerHTML = `
+        <div>${escapeHtml(message)}</div>
+        <div style="font-size: 12px; margin-top: 6px;">${count} poster${count === 1 ? ' was' : 's were'} not classified.</div>
+        <div id="loading-continue" style="cursor: pointer; text-decoration: underline; margin-top: 10px; font-size: 12px;">Show the classified posters</div>
+    `;
+    document.getElementById('loading-continue').addEventListener('click', finishLoading);
+}
+
+// Centered overlay used for long running work (loading, layout computation)
+function createLoadingOverlay(id, html) {
     const loadingDiv = document.createElement('div');
-    loadingDiv.id = 'loading';
+    loadingDiv.id = id;
     loadingDiv.style.position = 'fixed';
     loadingDiv.style.top = '50%';
     loadingDiv.style.left = '50%';
@@ -145,21 +481,9 @@ function loadAndProcessImages() {
     loadingDiv.style.zIndex = '1000';
     loadingDiv.style.fontFamily = '"Poppins", sans-serif';
 
-    loadingDiv.innerHTML = 'Loading images... <span id="progress">0%</span>';
+    loadingDiv.innerHTML = html;
     document.body.appendChild(loadingDiv);
-
-    fetch('all/list.txt')
-        .then(response => response.text())
-        .then(text => {
-            const imageFiles = text.split('\n').filter(file => file.endsWith('.jpg'));
-            
-            // Process images in batches to avoid browser hanging
-            processImagesInBatches(imageFiles, 0, {});
-        })
-        .catch(error => {
-            console.error("Error loading image list:", error);
-            document.getElementById('loading').innerHTML = 'Error loading images: ' + error.message;
-        });
+    return loadingDiv;
 }
 
 function createNavigationGuide() {
@@ -278,340 +602,1194 @@ function createNavigationGuide() {
     });
 }
 
-function processImagesInBatches(imageFiles, startIndex, categoriesMap) {
-    const BATCH_SIZE = 10;
-    const endIndex = Math.min(startIndex + BATCH_SIZE, imageFiles.length);
+function startClassification(files) {
+    classificationJob = createClassificationJob({
+        files,
+        classifier,
+        topK: TOP_K,
+        onResult: (file, predictions) => {
+            classificationFailures.delete(file);
+            addManifestEntry(classificationManifest, file, predictions, TOP_K, classificationEngine);
+            queueImageForScene(createImageEntry(file, predictions));
+        },
+        onFailure: (file, reason) => {
+            console.error("Error classifying image:", file, reason);
+            classificationFailures.set(file, reason);
+        },
+        onEngine: setClassificationEngine,
+        onProgress: updateLoadingProgress,
+        onDone: (progress) => {
+            flushPendingImages();
+            if (progress.state === 'failed') {
+                showClassifierError(progress.error, files.length);
+                return;
+            }
+            finishLoading();
+        }
+    });
     
-    // Process current batch
-    const promises = [];
+    const pauseButton = document.getElementById('progress-pause');
+    pauseButton.addEventListener('click', function() {
+        if (classificationJob.getProgress().state === 'paused') {
+            classificationJob.resume();
+        } else {
+            classificationJob.pause();
+        }
+    });
+    document.getElementById('progress-cancel').addEventListener('click', function() {
+        classificationJob.cancel();
+    });
+    document.getElementById('progress-controls').style.display = 'block';
     
-    for (let i = startIndex; i < endIndex; i++) {
-        const file = imageFiles[i];
-        const promise = new Promise((resolve) => {
-            const img = new Image();
-            img.crossOrigin = "Anonymous";
-            img.src = 'all/' + file;
-            
-            img.onload = () => {
-                // Classify image
-                classifier.classify(img).then(results => {
-                    const category = results[0].label;
-                    
-                    if (!categoriesMap[category]) {
-                        categoriesMap[category] = [];
-                    }
-                    
-                    categoriesMap[category].push({
-                        filename: file,
-                        confidence: results[0].confidence
-                    });
-                    
-                    resolve();
-                });
-            };
-            
-            img.onerror = () => {
-                console.error("Error loading image:", file);
-                resolve();
-            };
-        });
-        
-        promises.push(promise);
+    classificationJob.start();
+}
+
+// Progress in the loading overlay: percentage, counts, failures and time left
+// A new result set takes the version of the engine that fills it. Results from a
+// different engine (the main-thread fallback, or a set made by the worker) keep
+// their own version per entry, see addManifestEntry.
+function setClassificationEngine(version) {
+    classificationEngine = version;
+    if (Object.keys(classificationManifest.images).length === 0) {
+        classificationManifest.model.version = version;
+    } else if (classificationManifest.model.version !== version) {
+        console.warn(`Classifying with ${version}, but this result set came from ${classificationManifest.model.version}: new entries record their own version`);
     }
-    
-    // Update progress indicator
-    const percentComplete = Math.round((endIndex / imageFiles.length) * 100);
+}
+
+function updateLoadingProgress(progress) {
+    const percentComplete = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 100;
     document.getElementById('progress').textContent = `${percentComplete}%`;
     document.getElementById('progress').style.fontFamily = '"Poppins", sans-serif';
     
-    // When all images in this batch are processed
-    Promise.all(promises).then(() => {
-        if (endIndex < imageFiles.length) {
-            // Process next batch
-            setTimeout(() => {
-                processImagesInBatches(imageFiles, endIndex, categoriesMap);
-            }, 10);
-        } else {
-            // All batches completed
-            document.getElementById('loading').remove();
-            
-            // Convert object to Map
-            const categoryMap = new Map();
-            Object.entries(categoriesMap).forEach(([key, value]) => {
-                categoryMap.set(key, value);
-            });
-            
-            // Create visualization
-            createParticleGroups(categoryMap);
-        }
-    });
+    let eta = '';
+    if (progress.state === 'paused') {
+        eta = ' · paused';
+    } else if (progress.etaMs !== null && progress.done < progress.total) {
+        const seconds = Math.round(progress.etaMs / 1000);
+        eta = seconds >= 60 ? ` · about ${Math.round(seconds / 60)} min left` : ` · about ${seconds} s left`;
+    }
+    document.getElementById('progress-details').textContent =
+        `${progress.done} / ${progress.total} · ${progress.failures} failed${eta}`;
+    document.getElementById('progress-pause').textContent = progress.state === 'paused' ? 'Resume' : 'Pause';
 }
 
-function createParticleGroups(categoriesMap) {
-    // First, sort categories by the number of images (count)
-    const sortedCategories = [...categoriesMap.entries()]
-        .sort((a, b) => b[1].length - a[1].length); // Sort by descending count
+// One classified image, filed under its top label
+function createImageEntry(file, predictions) {
+    return {
+        filename: file,
+        category: predictions[0].label,
+        confidence: predictions[0].confidence,
+        predictions: predictions.slice(0, TOP_K).map(p => ({ label: p.label, confidence: p.confidence }))
+    };
+}
+
+// Results stream in one by one; add them to the scene in small batches
+function queueImageForScene(image) {
+    pendingImages.push(image);
+    if (!pendingImagesTimeout) {
+        pendingImagesTimeout = setTimeout(flushPendingImages, SCENE_UPDATE_INTERVAL);
+    }
+}
+
+function flushPendingImages() {
+    clearTimeout(pendingImagesTimeout);
+    pendingImagesTimeout = null;
+    const images = pendingImages;
+    pendingImages = [];
+    addImagesToScene(images);
+}
+
+function finishLoading() {
+    document.getElementById('loading').remove();
     
-    console.log("Sorted categories by count:", sortedCategories.map(c => `${c[0]}: ${c[1].length} images`));
+    const sortedCategories = Object.values(particles).sort((a, b) => b.userData.count - a.userData.count);
+    console.log("Sorted categories by count:", sortedCategories.map(g => `${g.userData.category}: ${g.userData.count} images`));
     
-    // Create a grid layout for the categories with most populated in center
-    const GRID_COLS = Math.ceil(Math.sqrt(sortedCategories.length)); // Make grid roughly square
-    const CATEGORY_SPACING_X = SPACING * 25;
-    const CATEGORY_SPACING_Z = SPACING * 25;
+    if (classificationFailures.size > 0) {
+        showFailureReport();
+    }
     
-    let totalCategories = sortedCategories.length;
+    // Groups a shared link filters on may not exist here (another result set)
+    const filteredCategories = activeFilters.categories.size;
+    pruneCategoryFilters();
+    if (activeFilters.categories.size !== filteredCategories) {
+        buildCategoryFacets();
+        applyFilters();
+    }
     
-    // Calculate grid dimensions
-    const gridWidth = GRID_COLS * CATEGORY_SPACING_X;
-    const gridRows = Math.ceil(totalCategories / GRID_COLS);
-    const gridHeight = gridRows * CATEGORY_SPACING_Z;
+    // The layout and selection of a shared link need every poster in place. They
+    // are applied once: a retry finishes loading again, after the user has moved on.
+    if (sharedView.layout) {
+        setLayout(sharedView.layout);
+        sharedView.layout = null;
+    }
+    if (sharedView.selected) {
+        selectRecord(sharedView.selected);
+        sharedView.selected = null;
+    }
+    scheduleUrlUpdate();
+}
+
+// Dismissible list of the posters that couldn't be classified, with a retry for just those
+function showFailureReport() {
+    const existing = document.getElementById('failure-report');
+    if (existing) existing.remove();
     
-    // Center of the grid
-    const centerX = 0;
-    const centerZ = 0;
+    const report = document.createElement('div');
+    report.id = 'failure-report';
+    report.style.position = 'fixed';
+    report.style.bottom = '270px';
+    report.style.right = '20px';
+    report.style.width = '320px';
+    report.style.maxHeight = '40%';
+    report.style.overflowY = 'auto';
+    report.style.background = 'rgba(0,0,0,0.8)';
+    report.style.color = 'white';
+    report.style.padding = '15px';
+    report.style.borderRadius = '10px';
+    report.style.zIndex = '1000';
+    report.style.fontFamily = '"Poppins", sans-serif';
+    report.style.fontSize = '12px';
+    report.style.fontWeight = '300';
     
-    // Function to position categories in spiral pattern from center
-    function getSpiralCoordinates(index, totalCategories) {
-        // Place the largest group at center (index 0)
-        if (index === 0) {
-            return { x: centerX, z: centerZ };
-        }
-        
-        // For others, create a spiral pattern
-        const angle = index * 0.5; // Angle increases with each category
-        const radius = Math.sqrt(index) * CATEGORY_SPACING_X * 2; // Radius increases as sqrt
-        
-        return {
-            x: centerX + radius * Math.cos(angle),
-            z: centerZ + radius * Math.sin(angle)
-        };
+    const rows = [...classificationFailures].map(([file, reason]) => `
+        <div style="display: flex; justify-content: space-between; gap: 10px; padding: 2px 0;">
+            <span style="word-break: break-all;">${escapeHtml(file)}</span>
+            <span style="opacity: 0.7; white-space: nowrap;">${escapeHtml(reason)}</span>
+        </div>
+    `).join('');
+    
+    report.innerHTML = `
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+            <strong>${classificationFailures.size} poster${classificationFailures.size === 1 ? '' : 's'} could not be classified</strong>
+            <span id="failure-report-close" style="cursor: pointer;">×</span>
+        </div>
+        ${rows}
+        <div id="failure-report-retry" style="cursor: pointer; text-decoration: underline; margin-top: 10px;">Retry failed posters</div>
+    `;
+    document.body.appendChild(report);
+    
+    document.getElementById('failure-report-close').addEventListener('click', function() {
+        report.remove();
+    });
+    document.getElementById('failure-report-retry').addEventListener('click', function() {
+        report.remove();
+        createProgressOverlay('Retrying failed posters...');
+        startClassification([...classificationFailures.keys()]);
+    });
+}
+
+// Create sprites and records for newly classified images, then re-run the spiral so
+// the categories stay ordered by size as they grow
+function addImagesToScene(images) {
+    if (images.length === 0) return;
+    
+    if (RENDER_MODE === 'instanced' && !posterRenderer) {
+        posterRenderer = createInstancedPosterRenderer({ size: PARTICLE_SIZE });
+        scene.add(posterRenderer.object);
     }
     
-    // Process each category in order of size (largest to smallest)
-    sortedCategories.forEach(([category, images], categoryIndex) => {
-        const group = new THREE.Group();
+    const added = images.map(img => {
+        // Create sprite with loading placeholder first - in instanced mode a handle
+        // that the instanced renderer draws from the thumbnail atlas instead
+        const sprite = posterRenderer
+            ? posterRenderer.add(img.filename)
+            : new THREE.Sprite(new THREE.SpriteMaterial({ map: placeholderTexture }));
+        sprite.scale.set(PARTICLE_SIZE, PARTICLE_SIZE, 1);
         
-        // Get spiral coordinates for this category
-        const { x: categoryX, z: categoryZ } = getSpiralCoordinates(categoryIndex, totalCategories);
-        const categoryY = 0; // Base height for this category
+        // Store the record for later use; the sprite only carries its id
+        sprite.userData.recordId = img.filename;
+        const record = {
+            filename: img.filename,
+            modelLabel: img.category, // Top classifier label
+            modelConfidence: img.confidence,
+            predictions: img.predictions,
+            metadata: getMetadata(posterMetadata, img.filename),
+            sprite: sprite,
+            layoutPositions: {},
+            tier: 'placeholder', // Texture currently shown: 'placeholder', 'thumbnail' or 'full'
+            textureKey: null
+        };
+        applyCorrection(record);
         
-        // Determine grid size for images within this category
-        const cols = Math.ceil(Math.sqrt(images.length));
+        // label is the corrected or classifier label, category the group it is shown in
+        record.category = generalizeLabel(labelHierarchy, record.label, groupingDepth);
+        recordStore.add(record);
         
-        // Create sprites for each image in this category
-        images.forEach((img, i) => {
-            const x = categoryX + (i % cols) * SPACING - (cols * SPACING) / 2;
-            const z = categoryZ + Math.floor(i / cols) * SPACING - (Math.floor(images.length / cols) * SPACING) / 2;
-            
-            // Calculate y position based on confidence level (slight elevation)
-            // Map confidence (typically 0.0-1.0) to a small range (0-5)
-            const confidenceElevation = img.confidence * 30; // Reduced from 30 to 5 for subtler effect
-            const y = categoryY + confidenceElevation;
-            
-            // Create sprite with loading placeholder first
-            const material = new THREE.SpriteMaterial({ 
-                map: placeholderTexture
-            });
-            const sprite = new THREE.Sprite(material);
-            
-            sprite.scale.set(PARTICLE_SIZE, PARTICLE_SIZE, 1);
-            sprite.position.set(x, y, z); // Use confidence-based y-position
-            
-            // Store image data for later use
-            const positionKey = `${x},${y},${z}`;
-            imageData.set(positionKey, {
-                filename: img.filename,
-                category: category,
-                confidence: img.confidence,
-                sprite: sprite,
-                loaded: false, 
-                highQualityLoaded: false 
-            });
-            
-            group.add(sprite);
-            
-            if (!pendingTextures.has(img.filename)) {
-                pendingTextures.add(img.filename);
-                setTimeout(() => {
-                    textureLoader.load('all/' + img.filename, 
-                        (texture) => {
-                            texture.minFilter = THREE.LinearFilter;
-                            texture.magFilter = THREE.LinearFilter;
-                            highResTextures.set(img.filename, texture);
-                            
-                            const imageDataEntry = imageData.get(positionKey);
-                            if (imageDataEntry) {
-                                sprite.material.map = texture;
-                                sprite.material.needsUpdate = true;
-                                imageDataEntry.loaded = true;
-                            }
-                            pendingTextures.delete(img.filename);
-                        },
-                        undefined,
-                        () => {
-                            pendingTextures.delete(img.filename);
-                        }
-                    );
-                }, 10);
-            }
-        });
+        const group = getCategoryGroup(record.category);
+        group.add(sprite);
+        group.userData.count++;
+        return record;
+    });
+    
+    // Group sizes changed, so merging may move posters in or out of "Other"
+    if (mergeThreshold > 1) {
+        regroupRecords();
+    }
+    refreshLayouts(added);
+    
+    if (!sceneStarted) {
+        sceneStarted = true;
         
+        if (sharedView.camera) {
+            // Opened from a link - keep the shared viewpoint still
+            setCameraView(sharedView.camera.position, sharedView.camera.target);
+        } else {
+            // Adjust camera position to view the entire scene
+            positionCameraForSpiralView();
+            
+            // Enable auto-rotation after a short delay
+            setTimeout(() => {
+                autoRotate = true;
+            }, 8000);
+        }
+    }
+    
+    // Apply any filters set before these images arrived and list the category facets
+    // (this also starts loading the thumbnails through updateLOD)
+    buildCategoryFacets();
+    applyFilters();
+    updateGroupingControl();
+}
+
+// Group of sprites for a category, created with its floating label on first use
+function getCategoryGroup(category) {
+    let group = particles[category];
+    if (!group) {
+        group = new THREE.Group();
         group.userData.category = category;
-        group.userData.count = images.length;
+        group.userData.count = 0;
+        group.userData.label = createCategoryLabel(category);
         scene.add(group);
         particles[category] = group;
+    }
+    return group;
+}
+
+// Put every poster in the group for its label at the grouping level, merging small
+// groups into "Other", and drop the groups that end up empty
+function regroupRecords() {
+    const categoryByRecord = new Map();
+    recordStore.forEach(data => {
+        categoryByRecord.set(data, generalizeLabel(labelHierarchy, data.label, groupingDepth));
     });
     
-    // Adjust camera position to view the entire scene
-    const viewRadius = Math.sqrt(totalCategories) * CATEGORY_SPACING_X;
-    positionCameraForSpiralView(viewRadius);
+    mergeSmallCategories(categoryByRecord, mergeThreshold).forEach((category, data) => {
+        if (data.category !== category) {
+            recordStore.setCategory(data, category);
+            clearSearchText(data);
+            getCategoryGroup(category).add(data.sprite);
+        }
+    });
     
-    // Enable auto-rotation after a short delay
-    setTimeout(() => {
-        autoRotate = true;
-    }, 8000);
+    Object.values(particles).forEach(group => {
+        const category = group.userData.category;
+        const count = recordStore.byCategory(category).length;
+        if (count === 0) {
+            group.userData.label.removeFromParent(); // Also removes its element
+            scene.remove(group);
+            delete particles[category];
+        } else {
+            group.userData.count = count;
+        }
+    });
 }
 
-function positionCameraForSpiralView(viewRadius) {
-    // Use the specific position you want
-    camera.position.set(411.84, 386.34, 898.09);
-    controls.target.set(-142.38, -175.58, 284.02);
-    controls.update();
+// Recompute the layouts after posters were added or regrouped and animate to them.
+// Newly added posters start at their place instead of flying in from the origin.
+function refreshLayouts(added = []) {
+    relayoutSpiral();
+    
+    // Metadata layouts are recomputed with the new groups next time they are used
+    LAYOUTS.filter(layout => layout.needsMetadata).forEach(layout => {
+        delete layoutGuides[layout.name];
+    });
+    if (LAYOUTS.some(layout => layout.needsMetadata && layout.name === currentLayout)) {
+        computeMetadataLayout(currentLayout);
+        showLayoutGuides(currentLayout);
+    }
+    
+    added.forEach(record => {
+        const position = record.layoutPositions[currentLayout] || record.layoutPositions.spiral;
+        record.sprite.position.copy(position);
+    });
+    animateToLayout(currentLayout);
 }
 
-// Add this function to handle loading higher quality textures when closer to objects
-function updateLOD() {
-    // Process a subset of images each frame for better performance
-    imageData.forEach((data, key) => {
-        const sprite = data.sprite;
-        
-        // Skip if sprite is not visible due to confidence filtering
-        if (!sprite.visible) return;
-        
-        // Get position from the key (stored as "x,y,z")
-        const [x, y, z] = key.split(',').map(Number);
-        const position = new THREE.Vector3(x, y, z);
-        const distance = camera.position.distanceTo(position);
-        
-        // If close enough and high quality version not loaded yet
-        if (distance < LOD_DISTANCE && !data.highQualityLoaded) {
-            if (!pendingTextures.has('hq_' + data.filename)) {
-                pendingTextures.add('hq_' + data.filename);
-                
-                // Load higher resolution texture
-                textureLoader.load('all/' + data.filename, 
-                    (texture) => {
-                        texture.minFilter = THREE.LinearMipMapLinearFilter;
-                        texture.magFilter = THREE.LinearFilter;
-                        texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
-                        
-                        highResTextures.set('hq_' + data.filename, texture);
-                        pendingTextures.delete('hq_' + data.filename);
-                        
-                        // Update with high quality texture
-                        sprite.material.map = texture;
-                        sprite.material.needsUpdate = true;
-                        data.highQualityLoaded = true;
-                    },
-                    undefined,
-                    () => {
-                        pendingTextures.delete('hq_' + data.filename);
-                    }
-                );
-            }
-        }
-        // Switch back to standard quality if moved far away
-        else if (distance >= LOD_DISTANCE && data.highQualityLoaded) {
-            // If we have the standard quality texture stored
-            if (highResTextures.has(data.filename)) {
-                sprite.material.map = highResTextures.get(data.filename);
-                sprite.material.needsUpdate = true;
-                data.highQualityLoaded = false;
-            }
-        }
-    });
+// Change the grouping level or merge threshold and regroup the map live
+function setGrouping(depth, threshold) {
+    groupingDepth = depth;
+    mergeThreshold = threshold;
+    if (recordStore.size() === 0) {
+        updateGroupingControl();
+        return;
+    }
+    
+    regroupAndRefresh();
 }
 
-// Window resize handler - updates camera and renderer when browser window is resized
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// Regroup the map live after the grouping or a poster's label changed
+function regroupAndRefresh() {
+    regroupRecords();
+    refreshLayouts();
+    
+    pruneCategoryFilters();
+    buildCategoryFacets();
+    applyFilters();
+    
+    // The selected poster may have moved to another group
+    if (selectedRecordId) {
+        setSelection(selectedRecordId);
+    }
+    updateGroupingControl();
 }
 
-// Mouse movement handler - updates the pointer coordinates for raycasting
-function onPointerMove(event) {
-    pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
-    pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+// Category filters only make sense for groups that exist; a filter naming any other
+// group would hide every poster
+function pruneCategoryFilters() {
+    activeFilters.categories.forEach(category => {
+        if (!particles[category]) activeFilters.categories.delete(category);
+    });
 }
 
-// Modified function to implement the confidence slider with new styling
-function createConfidenceSlider() {
-    // Add the Poppins font to the document
-    const fontLink = document.createElement('link');
-    fontLink.rel = 'stylesheet';
-    fontLink.href = 'https://fonts.googleapis.com/css2?family=Poppins:wght@300&display=swap';
-    document.head.appendChild(fontLink);
+// Grouping level slider (WordNet hierarchy) and the merge-small-groups threshold
+function createGroupingControl() {
+    const container = document.createElement('div');
+    container.id = 'grouping-control';
+    container.style.position = 'fixed';
+    container.style.bottom = '120px';
+    container.style.left = '13%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    container.style.color = 'white';
+    container.style.padding = '12px 30px';
+    container.style.borderRadius = '15px';
+    container.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.5)';
+    container.style.zIndex = '1000';
+    container.style.width = '400px';
+    container.style.fontFamily = '"Poppins", sans-serif';
+    container.style.fontSize = '12px';
     
-    // Create container for slider and labels
-    const sliderContainer = document.createElement('div');
-    sliderContainer.id = 'confidence-slider-container';
-    sliderContainer.style.position = 'fixed';
-    sliderContainer.style.bottom = '10px';
-    sliderContainer.style.left = '13%';
-    sliderContainer.style.transform = 'translateX(-50%)';
-    sliderContainer.style.backgroundColor = 'rgba(0,0,0,0.8)';
-    sliderContainer.style.padding = '20px 30px';
-    sliderContainer.style.borderRadius = '15px';
-    sliderContainer.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.5)';
-    sliderContainer.style.zIndex = '1000';
-    sliderContainer.style.width = '400px';
-    sliderContainer.style.fontFamily = '"Poppins", sans-serif';
+    container.innerHTML = `
+        <div style="display: flex; justify-content: space-between; margin-bottom: 6px;">
+            <span>Grouping level</span>
+            <span id="grouping-level-value">Labels</span>
+        </div>
+        <input id="grouping-level" type="range" min="1" max="1" value="1" style="width: 100%;">
+        <label style="display: block; margin-top: 6px;">
+            Merge groups under
+            <input id="grouping-merge" type="number" min="0" value="0"
+                style="width: 48px; background: #111; color: white; border: 1px solid #444;">
+            posters into Other
+        </label>
+    `;
+    document.body.appendChild(container);
     
-    // Create header container for title and value side by side
-    const headerContainer = document.createElement('div');
-    headerContainer.style.display = 'flex';
-    headerContainer.style.justifyContent = 'space-between';
-    headerContainer.style.alignItems = 'center';
-    headerContainer.style.marginBottom = '10px';
-    headerContainer.style.width = '100%';
+    const levelInput = container.querySelector('#grouping-level');
+    const mergeInput = container.querySelector('#grouping-merge');
     
-    // Create title - change yellow to white
-    const titleElement = document.createElement('div');
-    titleElement.innerHTML = 'Filter by Confidence';
-    titleElement.style.fontWeight = '300';
-    titleElement.style.fontSize = '12px';
-    titleElement.style.color = '#ffffff'; // Changed from #ffff4d to white
+    levelInput.addEventListener('input', function() {
+        const level = parseInt(levelInput.value, 10);
+        setGrouping(level >= getMaxDepth(labelHierarchy) ? Infinity : level, mergeThreshold);
+    });
+    mergeInput.addEventListener('change', function() {
+        const threshold = Math.max(0, parseInt(mergeInput.value, 10) || 0);
+        mergeInput.value = threshold;
+        setGrouping(groupingDepth, threshold);
+    });
     
-    // Create value display - change yellow to white
-    const valueDisplay = document.createElement('div');
-    valueDisplay.id = 'rangeValue';
-    valueDisplay.innerHTML = '0%';
-    valueDisplay.style.fontSize = '12px';
-    valueDisplay.style.color = '#ffffff'; // Changed from #ffff4d to white
-    valueDisplay.style.fontWeight = '400';
+    updateGroupingControl();
+}
+
+function updateGroupingControl() {
+    const levelInput = document.getElementById('grouping-level');
+    if (!levelInput) return;
     
-    // Add title and value to header container
-    headerContainer.appendChild(titleElement);
-    headerContainer.appendChild(valueDisplay);
+    const maxDepth = getMaxDepth(labelHierarchy);
+    levelInput.max = maxDepth;
+    levelInput.value = Math.min(groupingDepth, maxDepth);
+    levelInput.disabled = !labelHierarchy;
+    levelInput.title = labelHierarchy ? '' : 'Needs all/label-hierarchy.json (see tools/build-label-hierarchy.mjs)';
     
-    // Create slider element with the custom styling
-    const slider = document.createElement('input');
-    slider.type = 'range';
-    slider.min = '0';
-    slider.max = '100';
-    slider.value = '0';
-    slider.id = 'confidence-slider';
-    slider.className = 'range';
-    slider.style.width = '100%';
-    slider.style.height = '10px';
-    slider.style.webkitAppearance = 'none';
-    slider.style.appearance = 'none';
-    slider.style.background = '#111';
-    slider.style.outline = 'none';
-    slider.style.borderRadius = '15px';
-    slider.style.overflow = 'hidden';
-    slider.style.boxShadow = 'inset 0 0 5px rgba(0, 0, 0, 1)';
+    const groupCount = Object.keys(particles).length;
+    const level = groupingDepth >= maxDepth ? 'Labels' : `Level ${groupingDepth} of ${maxDepth}`;
+    document.getElementById('grouping-level-value').textContent =
+        groupCount > 0 ? `${level} · ${groupCount} groups` : level;
+}
+
+// The label a poster is shown with: a person's correction wins over the classifier.
+// A corrected label counts as certain, so it also passes every confidence filter.
+function applyCorrection(data) {
+    const correction = corrections.get(data.filename);
+    data.label = correction ? correction.label : data.modelLabel;
+    data.confidence = correction ? 1 : data.modelConfidence;
+    data.correction = correction || null;
+}
+
+// Move a poster to another (possibly new) category and record the correction.
+// Relabelling it with the classifier's label removes the correction.
+function relabelRecord(data, label) {
+    label = label.trim();
+    if (!label || label === data.label) return;
+    
+    if (label !== data.modelLabel && !correctionUser) {
+        correctionUser = (prompt('Your name, recorded with your corrections:') || '').trim();
+        saveCorrectionUser(correctionUser);
+        updateCorrectionsPanel();
+    }
+    setCorrection(corrections, data.filename, data.modelLabel, label, correctionUser);
+    saveCorrections(corrections);
+    
+    applyCorrection(data);
+    clearSearchText(data);
+    regroupAndRefresh();
+    updateCorrectionsPanel();
+}
+
+// Re-apply every correction after they were imported
+function reapplyCorrections() {
+    recordStore.forEach(data => {
+        applyCorrection(data);
+        clearSearchText(data);
+    });
+    if (recordStore.size() > 0) {
+        regroupAndRefresh();
+    }
+    updateCorrectionsPanel();
+}
+
+// Button and panel listing the corrections, with the user name and JSON import/export
+function createCorrectionsPanel() {
+    const toggleButton = document.createElement('div');
+    toggleButton.id = 'corrections-toggle';
+    toggleButton.innerHTML = 'Corrections';
+    toggleButton.style.position = 'fixed';
+    toggleButton.style.bottom = '185px';
+    toggleButton.style.right = '0%';
+    toggleButton.style.transform = 'translateX(-50%)';
+    toggleButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    toggleButton.style.color = 'white';
+    toggleButton.style.padding = '8px 15px';
+    toggleButton.style.cursor = 'pointer';
+    toggleButton.style.zIndex = '1000';
+    toggleButton.style.fontFamily = '"Poppins", sans-serif';
+    toggleButton.style.fontSize = '12px';
+    toggleButton.style.fontWeight = '300';
+    toggleButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    toggleButton.style.textAlign = 'center';
+    toggleButton.style.transition = 'all 0.2s ease';
+    
+    toggleButton.addEventListener('mouseenter', function() {
+        toggleButton.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    });
+    
+    toggleButton.addEventListener('mouseleave', function() {
+        toggleButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    });
+    
+    const panel = document.createElement('div');
+    panel.id = 'corrections-panel';
+    panel.style.position = 'fixed';
+    panel.style.bottom = '25px';
+    panel.style.right = '170px';
+    panel.style.width = '320px';
+    panel.style.maxHeight = '60vh';
+    panel.style.overflowY = 'auto';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    panel.style.color = 'white';
+    panel.style.padding = '15px';
+    panel.style.borderRadius = '8px';
+    panel.style.zIndex = '1000';
+    panel.style.fontFamily = '"Poppins", sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.boxShadow = '0 2px 10px rgba(0,0,0,0.3)';
+    panel.style.display = 'none';
+    
+    panel.innerHTML = `
+        <label style="display: flex; gap: 6px; align-items: center; margin-bottom: 10px;">
+            Your name
+            <input id="corrections-user" type="text" placeholder="Recorded with each correction"
+                style="flex: 1; padding: 6px; background: #111; color: white; border: 1px solid #444; border-radius: 4px;">
+        </label>
+        <div id="corrections-list"></div>
+        <div style="display: flex; justify-content: space-between; margin-top: 10px;">
+            <span id="corrections-train" style="cursor: pointer; text-decoration: underline;">Train classifier</span>
+            <span>
+                <span id="corrections-export" style="cursor: pointer; text-decoration: underline; margin-right: 8px;">Export</span>
+                <span id="corrections-import" style="cursor: pointer; text-decoration: underline;">Import</span>
+                <input id="corrections-import-file" type="file" accept="application/json,.json" style="display: none;">
+            </span>
+        </div>
+    `;
+    
+    document.body.appendChild(toggleButton);
+    document.body.appendChild(panel);
+    
+    toggleButton.addEventListener('click', function() {
+        const opening = panel.style.display !== 'block';
+        panel.style.display = opening ? 'block' : 'none';
+        // The bookmark panel sits in the same spot
+        const other = document.getElementById('bookmark-panel');
+        if (opening && other) other.style.display = 'none';
+    });
+    
+    const userInput = panel.querySelector('#corrections-user');
+    userInput.addEventListener('change', function() {
+        correctionUser = userInput.value.trim();
+        saveCorrectionUser(correctionUser);
+    });
+    
+    panel.querySelector('#corrections-train').addEventListener('click', function() {
+        panel.style.display = 'none';
+        openTrainingPanel();
+    });
+    
+    panel.querySelector('#corrections-export').addEventListener('click', function() {
+        downloadCorrections(corrections);
+    });
+    
+    // Imported corrections are merged in; they win over local ones for the same poster
+    const fileInput = panel.querySelector('#corrections-import-file');
+    panel.querySelector('#corrections-import').addEventListener('click', function() {
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', function() {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                parseCorrections(text).forEach((correction, filename) => {
+                    corrections.set(filename, correction);
+                });
+                saveCorrections(corrections);
+                reapplyCorrections();
+            })
+            .catch(error => {
+                alert('Could not import corrections: ' + error.message);
+            })
+            .then(() => {
+                fileInput.value = '';
+            });
+    });
+    
+    updateCorrectionsPanel();
+}
+
+// One row per correction, newest first: original -> new label, who and when.
+// Clicking a row selects the poster if it is on the map.
+function updateCorrectionsPanel() {
+    updateTrainingPanel(); // Its example counts come from the corrections
+    
+    const list = document.getElementById('corrections-list');
+    if (!list) return;
+    
+    document.getElementById('corrections-toggle').innerHTML =
+        corrections.size > 0 ? `Corrections (${corrections.size})` : 'Corrections';
+    document.getElementById('corrections-user').value = correctionUser;
+    
+    if (corrections.size === 0) {
+        list.innerHTML = '<div style="opacity: 0.6;">No corrections yet. Change a label from the poster preview.</div>';
+        return;
+    }
+    
+    const rows = [...corrections]
+        .sort((a, b) => b[1].timestamp.localeCompare(a[1].timestamp))
+        .map(([filename, correction]) => `
+            <div class="correction-row" data-filename="${escapeHtml(filename)}"
+                style="padding: 4px 0; border-bottom: 1px solid #333; cursor: pointer;">
+                <div>${escapeHtml(correction.originalLabel)} &rarr; <strong>${escapeHtml(correction.label)}</strong></div>
+                <div style="opacity: 0.6;">
+                    ${escapeHtml(filename)} · ${escapeHtml(correction.user || 'unknown')}
+                    ${correction.timestamp ? ' · ' + escapeHtml(new Date(correction.timestamp).toLocaleString()) : ''}
+                </div>
+            </div>
+        `).join('');
+    list.innerHTML = rows;
+    
+    list.querySelectorAll('.correction-row').forEach(row => {
+        row.addEventListener('click', function(e) {
+            e.stopPropagation();
+            const data = selectRecord(row.dataset.filename);
+            if (data) flyToRecord(data);
+        });
+    });
+}
+
+// Panel that trains a classifier on the corrected posters: settings, progress with
+// the loss chart, validation accuracy and saving the model
+function openTrainingPanel() {
+    let panel = document.getElementById('training-panel');
+    if (panel) {
+        panel.style.display = 'block';
+        updateTrainingPanel();
+        return;
+    }
+    
+    panel = document.createElement('div');
+    panel.id = 'training-panel';
+    panel.style.position = 'fixed';
+    panel.style.top = '50%';
+    panel.style.left = '50%';
+    panel.style.transform = 'translate(-50%, -50%)';
+    panel.style.width = '420px';
+    panel.style.maxHeight = '80vh';
+    panel.style.overflowY = 'auto';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.9)';
+    panel.style.color = 'white';
+    panel.style.padding = '20px';
+    panel.style.borderRadius = '10px';
+    panel.style.zIndex = '1001';
+    panel.style.fontFamily = '"Poppins", sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.5)';
+    
+    panel.innerHTML = `
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+            <strong>Train a poster classifier</strong>
+            <span id="training-close" style="cursor: pointer;">×</span>
+        </div>
+        <div id="training-examples" style="margin-bottom: 10px;"></div>
+        <div style="display: flex; gap: 15px; margin-bottom: 10px;">
+            <label>Epochs
+                <input id="training-epochs" type="number" min="1" max="200" value="${DEFAULT_EPOCHS}"
+                    style="width: 50px; background: #111; color: white; border: 1px solid #444;">
+            </label>
+            <label>Validation
+                <input id="training-validation" type="number" min="0" max="50" value="${DEFAULT_VALIDATION_SPLIT * 100}"
+                    style="width: 50px; background: #111; color: white; border: 1px solid #444;">
+                %
+            </label>
+        </div>
+        <span id="training-start" style="cursor: pointer; text-decoration: underline;">Start training</span>
+        <div id="training-status" style="margin-top: 10px; opacity: 0.8;"></div>
+        <canvas id="training-loss" width="380" height="120"
+            style="display: block; margin-top: 6px; background: #111; border-radius: 4px;"></canvas>
+        <div id="training-result" style="margin-top: 10px;"></div>
+    `;
+    document.body.appendChild(panel);
+    
+    panel.querySelector('#training-close').addEventListener('click', function() {
+        panel.style.display = 'none';
+    });
+    
+    panel.querySelector('#training-start').addEventListener('click', function() {
+        if (trainingRun && !trainingRun.result && !trainingRun.error) return; // Already training
+        
+        const epochs = Math.max(1, parseInt(panel.querySelector('#training-epochs').value, 10) || DEFAULT_EPOCHS);
+        const validationSplit = Math.min(50, Math.max(0, parseFloat(panel.querySelector('#training-validation').value) || 0)) / 100;
+        const status = panel.querySelector('#training-status');
+        const stages = {
+            loading: () => 'Loading MobileNet...',
+            features: p => `Extracting features: ${p.done} / ${p.total} posters`,
+            training: p => `Training: loss ${p.loss.toFixed(4)}`,
+            validating: p => `Validating: ${p.done} / ${p.total} held-out posters`
+        };
+        
+        trainingRun = { losses: [], result: null, error: null };
+        updateTrainingPanel();
+        trainClassifier({
+            examples: getTrainingExamples(),
+            epochs,
+            validationSplit,
+            onProgress: progress => {
+                if (progress.stage === 'training') {
+                    trainingRun.losses.push(progress.loss);
+                    drawLossChart(panel.querySelector('#training-loss'), trainingRun.losses);
+                }
+                status.textContent = stages[progress.stage](progress);
+            }
+        })
+            .then(result => {
+                trainingRun.result = result;
+                status.textContent = 'Training finished.';
+            })
+            .catch(error => {
+                console.error('Training failed:', error);
+                trainingRun.error = error;
+                status.textContent = 'Training failed: ' + error.message;
+            })
+            .then(updateTrainingPanel);
+    });
+    
+    updateTrainingPanel();
+}
+
+// Hand-labelled posters on the map, with the label a person gave them
+function getTrainingExamples() {
+    return recordStore.all()
+        .filter(data => data.correction)
+        .map(data => ({ filename: data.filename, label: data.label }));
+}
+
+function updateTrainingPanel() {
+    const panel = document.getElementById('training-panel');
+    if (!panel) return;
+    
+    const { examples, labels, skippedLabels } = selectTrainableExamples(getTrainingExamples());
+    const skipped = skippedLabels.length > 0
+        ? `<div style="opacity: 0.6;">Left out, fewer than ${MIN_EXAMPLES_PER_LABEL} posters: ${skippedLabels.map(escapeHtml).join(', ')}</div>`
+        : '';
+    panel.querySelector('#training-examples').innerHTML = `
+        <div>${examples.length} corrected posters in ${labels.length} categories</div>
+        ${skipped}
+    `;
+    
+    const training = trainingRun && !trainingRun.result && !trainingRun.error;
+    const start = panel.querySelector('#training-start');
+    start.style.opacity = training || labels.length < 2 ? '0.4' : '1';
+    start.style.pointerEvents = training || labels.length < 2 ? 'none' : 'auto';
+    start.title = labels.length < 2 ? `Correct at least ${MIN_EXAMPLES_PER_LABEL} posters in each of two categories first` : '';
+    drawLossChart(panel.querySelector('#training-loss'), trainingRun ? trainingRun.losses : []);
+    
+    const resultElement = panel.querySelector('#training-result');
+    const result = trainingRun && trainingRun.result;
+    if (!result) {
+        resultElement.innerHTML = '';
+        return;
+    }
+    
+    const misses = result.validation.filter(v => v.predicted !== v.label);
+    const accuracy = result.accuracy === null
+        ? 'No posters held out for validation.'
+        : `Validation accuracy: <strong>${(result.accuracy * 100).toFixed(1)}%</strong> on ${result.validation.length} held-out posters`;
+    resultElement.innerHTML = `
+        <div>Trained on ${result.trainingCount} posters in ${result.labels.length} categories.</div>
+        <div>${accuracy}</div>
+        ${misses.map(v => `
+            <div style="opacity: 0.7;">${escapeHtml(v.filename)}: ${escapeHtml(v.label)} predicted as ${escapeHtml(v.predicted)}</div>
+        `).join('')}
+        <div style="margin-top: 10px;">
+            <span id="training-save" style="cursor: pointer; text-decoration: underline;">Save model</span>
+            <div style="opacity: 0.6; margin-top: 4px;">
+                Put model.json, model.weights.bin and training.json in models/trained/ and open the map with
+                ?classifier=trained to classify with it.
+            </div>
+        </div>
+    `;
+    resultElement.querySelector('#training-save').addEventListener('click', function() {
+        saveTrainedModel(result).catch(error => {
+            alert('Could not save the model: ' + error.message);
+        });
+    });
+}
+
+// Loss per training batch, scaled to the highest loss so far
+function drawLossChart(canvas, losses) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 6;
+    context.clearRect(0, 0, width, height);
+    if (losses.length === 0) return;
+    
+    const maxLoss = Math.max(...losses) || 1;
+    context.strokeStyle = '#4CAF50';
+    context.lineWidth = 1.5;
+    context.beginPath();
+    losses.forEach((loss, i) => {
+        const x = padding + (losses.length === 1 ? 0 : i / (losses.length - 1)) * (width - padding * 2);
+        const y = height - padding - (loss / maxLoss) * (height - padding * 2);
+        if (i === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    });
+    context.stroke();
+    
+    context.fillStyle = '#999';
+    context.font = '10px sans-serif';
+    context.fillText(`loss ${maxLoss.toFixed(3)}`, padding, 12);
+    context.fillText(`${losses.length} batches · last ${losses[losses.length - 1].toFixed(4)}`, width - 150, height - padding - 2);
+}
+
+// Spiral of category grids with the most populated category in the center
+function relayoutSpiral() {
+    const sortedCategories = Object.values(particles)
+        .map(group => [group.userData.category, recordStore.byCategory(group.userData.category)])
+        .sort((a, b) => b[1].length - a[1].length); // Sort by descending count
+    
+    const { positions } = clusterLayout(sortedCategories, SPACING);
+    positions.forEach((position, record) => {
+        if (!record.layoutPositions.spiral) {
+            record.layoutPositions.spiral = new THREE.Vector3();
+        }
+        record.layoutPositions.spiral.set(position.x, position.y, position.z);
+    });
+    layoutGuides.spiral = []; // The spiral has no floating labels
+}
+
+function positionCameraForSpiralView() {
+    setCameraView(DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET);
+}
+
+function setCameraView(position, target) {
+    camera.position.copy(position);
+    controls.target.copy(target);
+    controls.update();
+}
+
+// Everything a shared link reproduces
+function getViewState() {
+    return {
+        camera: { position: camera.position, target: controls.target },
+        layout: currentLayout,
+        selected: selectedRecordId,
+        filters: activeFilters,
+        grouping: { depth: groupingDepth, threshold: mergeThreshold }
+    };
+}
+
+// Restore a view from a link pasted into an already open viewer or from a bookmark,
+// flying the camera there if a duration is given
+function applyViewState(state, duration = 0) {
+    if (state.camera) {
+        if (duration > 0) {
+            flyCamera(state.camera.position, state.camera.target, duration);
+        } else {
+            setCameraView(state.camera.position, state.camera.target);
+        }
+        autoRotate = false;
+    }
+    // Grouping first: the category filters name groups at the state's level
+    if (state.grouping.depth !== groupingDepth || state.grouping.threshold !== mergeThreshold) {
+        setGrouping(state.grouping.depth, state.grouping.threshold);
+    }
+    activeFilters = state.filters;
+    if (recordStore.size() > 0) {
+        pruneCategoryFilters();
+        buildCategoryFacets();
+    }
+    applyFilters();
+    setLayout(state.layout || 'spiral');
+    if (state.selected) {
+        selectRecord(state.selected);
+    } else {
+        closeImagePreview();
+    }
+}
+
+// Ease the camera and its target to a new view; animate() advances it and OrbitControls
+// picks up from wherever it is when the user grabs the view. Without a duration the
+// flight takes longer the further it goes.
+function flyCamera(position, target, duration) {
+    if (duration === undefined) {
+        const travel = camera.position.distanceTo(position) + controls.target.distanceTo(target);
+        duration = THREE.MathUtils.clamp(travel * 1.5, MIN_FLIGHT_DURATION, MAX_FLIGHT_DURATION);
+    }
+    
+    // Drop any damping momentum so it doesn't pull against the flight
+    controls.enableDamping = false;
+    controls.update();
+    controls.enableDamping = true;
+    autoRotate = false;
+    
+    cameraTransition = {
+        start: performance.now(),
+        duration,
+        fromPosition: camera.position.clone(),
+        fromTarget: controls.target.clone(),
+        toPosition: new THREE.Vector3(position.x, position.y, position.z),
+        toTarget: new THREE.Vector3(target.x, target.y, target.z)
+    };
+}
+
+function updateCameraTransition() {
+    if (!cameraTransition) return;
+    
+    const t = Math.min(1, (performance.now() - cameraTransition.start) / cameraTransition.duration);
+    // Ease in-out cubic, like the layout transitions
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    
+    camera.position.lerpVectors(cameraTransition.fromPosition, cameraTransition.toPosition, eased);
+    controls.target.lerpVectors(cameraTransition.fromTarget, cameraTransition.toTarget, eased);
+    
+    if (t === 1) {
+        cameraTransition = null;
+        updateLOD();
+        
+        // Like a user interaction: auto-rotation resumes after the usual delay
+        userInteracted = true;
+        lastUserInteractionTime = Date.now();
+    }
+}
+
+// Fly in to a poster, keeping the current viewing direction
+function flyToRecord(data) {
+    const target = data.sprite.position.clone();
+    const direction = new THREE.Vector3().subVectors(camera.position, controls.target).normalize();
+    flyCamera(target.clone().addScaledVector(direction, POSTER_VIEW_DISTANCE), target);
+}
+
+// Rewrite the URL hash at most twice a second; replaceState keeps it out of the history
+function scheduleUrlUpdate() {
+    if (urlUpdateTimeout || !sceneStarted) return;
+    urlUpdateTimeout = setTimeout(() => {
+        urlUpdateTimeout = null;
+        history.replaceState(null, '', '#' + encodeViewState(getViewState()));
+    }, 500);
+}
+
+// Pick the texture tier for every poster: nothing for hidden ones, the thumbnail at a
+// distance and the full size image within LOD_DISTANCE. Only posters inside the view
+// frustum request loads, ordered by their size on screen; loads that are no longer
+// wanted after the camera moved are cancelled.
+function updateLOD() {
+    // The instanced renderer draws everything from the thumbnail atlas
+    if (posterRenderer) return;
+    
+    camera.updateMatrixWorld();
+    projectionScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(projectionScreenMatrix);
+    
+    // Pixels per world unit at distance 1, to turn distance into on-screen size
+    const pixelsPerUnit = renderer.domElement.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    
+    const wanted = new Set();
+    recordStore.forEach(data => {
+        const key = updateRecordTexture(data, pixelsPerUnit);
+        if (key) wanted.add(key);
+    });
+    
+    textureStreamer.retainOnly(wanted);
+}
+
+function getDesiredTier(data, distance) {
+    if (!data.sprite.visible) return 'placeholder';
+    return distance < LOD_DISTANCE ? 'full' : 'thumbnail';
+}
+
+function getTextureKey(tier, filename) {
+    return (tier === 'full' ? 'full:' : 'thumb:') + filename;
+}
+
+// Show the best texture available for the desired tier and queue what's missing.
+// Returns the key of the texture requested, if any.
+function updateRecordTexture(data, pixelsPerUnit) {
+    const sprite = data.sprite;
+    // Use the live position - layouts move sprites around
+    const distance = camera.position.distanceTo(sprite.position);
+    const desired = getDesiredTier(data, distance);
+    
+    if (desired === 'placeholder') {
+        assignTexture(data, 'placeholder', null);
+        return null;
+    }
+    
+    const thumbKey = getTextureKey('thumbnail', data.filename);
+    const fullKey = getTextureKey('full', data.filename);
+    
+    boundingSphere.set(sprite.position, PARTICLE_SIZE);
+    const inView = frustum.intersectsSphere(boundingSphere);
+    const priority = PARTICLE_SIZE * pixelsPerUnit / Math.max(distance, 1);
+    
+    if (desired === 'full') {
+        if (textureCache.has(fullKey)) {
+            assignTexture(data, 'full', fullKey);
+            return null;
+        }
+        // Show the thumbnail while the full image loads
+        if (data.tier !== 'thumbnail' && textureCache.has(thumbKey)) {
+            assignTexture(data, 'thumbnail', thumbKey);
+        }
+        return inView ? requestTierTexture(data, 'full', priority) : null;
+    }
+    
+    if (textureCache.has(thumbKey)) {
+        assignTexture(data, 'thumbnail', thumbKey);
+        return null;
+    }
+    // Keep whatever is showing (maybe the full image) until the thumbnail arrives
+    return inView ? requestTierTexture(data, 'thumbnail', priority) : null;
+}
+
+// Put a cached texture on the sprite; the texture it shows is pinned so it can't be evicted
+function assignTexture(data, tier, key) {
+    if (data.textureKey === key) return;
+    
+    const sprite = data.sprite;
+    if (key) {
+        textureCache.pin(key);
+        sprite.material.map = textureCache.get(key);
+    } else {
+        sprite.material.map = placeholderTexture;
+    }
+    sprite.material.needsUpdate = true;
+    
+    // Unpin after pinning the new one, so a shared key is never evicted in between
+    if (data.textureKey) {
+        textureCache.unpin(data.textureKey);
+    }
+    data.textureKey = key;
+    data.tier = tier;
+}
+
+function requestTierTexture(data, tier, priority) {
+    const key = getTextureKey(tier, data.filename);
+    const url = tier === 'full' ? 'all/' + data.filename : 'all/thumbnails/' + data.filename;
+    
+    textureStreamer.request(key, {
+        url,
+        priority,
+        onLoad: (texture) => {
+            if (tier === 'full') {
+                texture.minFilter = THREE.LinearMipMapLinearFilter;
+                texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+            } else {
+                texture.minFilter = THREE.LinearFilter;
+                texture.generateMipmaps = false;
+            }
+            texture.magFilter = THREE.LinearFilter;
+            
+            textureCache.set(key, texture, estimateTextureBytes(texture));
+            
+            // The camera may have moved on while this was loading
+            assignLoadedTexture(data);
+        },
+        onError: (error) => {
+            console.error('Error loading texture:', error.message);
+        }
+    });
+    return key;
+}
+
+// Use a texture that just arrived without queueing anything new
+function assignLoadedTexture(data) {
+    if (!data.sprite.visible) return;
+    
+    const distance = camera.position.distanceTo(data.sprite.position);
+    const desired = getDesiredTier(data, distance);
+    const key = getTextureKey(desired, data.filename);
+    
+    if (textureCache.has(key)) {
+        assignTexture(data, desired, key);
+    } else if (desired === 'full' && data.tier === 'placeholder') {
+        const thumbKey = getTextureKey('thumbnail', data.filename);
+        if (textureCache.has(thumbKey)) assignTexture(data, 'thumbnail', thumbKey);
+    }
+}
+
+// Small overlay with texture memory, loads in flight and how many posters are in each tier
+function createLODDebugOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'lod-debug';
+    overlay.style.position = 'fixed';
+    overlay.style.bottom = '110px';
+    overlay.style.right = '20px';
+    overlay.style.background = 'rgba(0,0,0,0.7)';
+    overlay.style.color = '#4CAF50';
+    overlay.style.padding = '8px 12px';
+    overlay.style.borderRadius = '4px';
+    overlay.style.zIndex = '1000';
+    overlay.style.fontFamily = 'monospace';
+    overlay.style.fontSize = '11px';
+    overlay.style.whiteSpace = 'pre';
+    overlay.style.pointerEvents = 'none';
+    document.body.appendChild(overlay);
+    
+    setInterval(() => {
+        const stats = textureCache.stats();
+        const tiers = { placeholder: 0, thumbnail: 0, full: 0 };
+        recordStore.forEach(data => {
+            tiers[data.tier]++;
+        });
+        
+        const streaming = textureStreamer.stats();
+        
+        overlay.textContent = [
+            `textures  ${(stats.bytes / 1048576).toFixed(1)} / ${TEXTURE_BUDGET_MB} MB (${stats.count} cached, ${stats.pinned} in use)`,
+            `GPU       ${renderer.info.memory.textures} textures`,
+            `in flight ${streaming.inFlight} / ${streaming.maxConcurrent}  queued ${streaming.queued}`,
+            `tiers     full ${tiers.full}  thumb ${tiers.thumbnail}  none ${tiers.placeholder}`
+        ].join('\n');
+    }, 500);
+}
+
+// Window resize handler - updates camera and renderer when browser window is resized
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    labelRenderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+// Mouse movement handler - updates the pointer coordinates for raycasting
+function onPointerMove(event) {
+    pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    pointerClient.x = event.clientX;
+    pointerClient.y = event.clientY;
+    pointerOverCanvas = event.target === renderer.domElement;
+    hoverDirty = true; // Picked once per frame in animate()
+}
+
+// Modified function to implement the confidence slider with new styling
+function createConfidenceSlider() {
+    // Add the Poppins font to the document
+    const fontLink = document.createElement('link');
+    fontLink.rel = 'stylesheet';
+    fontLink.href = 'https://fonts.googleapis.com/css2?family=Poppins:wght@300&display=swap';
+    document.head.appendChild(fontLink);
+    
+    // Create container for slider and labels
+    const sliderContainer = document.createElement('div');
+    sliderContainer.id = 'confidence-slider-container';
+    sliderContainer.style.position = 'fixed';
+    sliderContainer.style.bottom = '10px';
+    sliderContainer.style.left = '13%';
+    sliderContainer.style.transform = 'translateX(-50%)';
+    sliderContainer.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    sliderContainer.style.padding = '20px 30px';
+    sliderContainer.style.borderRadius = '15px';
+    sliderContainer.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.5)';
+    sliderContainer.style.zIndex = '1000';
+    sliderContainer.style.width = '400px';
+    sliderContainer.style.fontFamily = '"Poppins", sans-serif';
+    
+    // Create header container for title and value side by side
+    const headerContainer = document.createElement('div');
+    headerContainer.style.display = 'flex';
+    headerContainer.style.justifyContent = 'space-between';
+    headerContainer.style.alignItems = 'center';
+    headerContainer.style.marginBottom = '10px';
+    headerContainer.style.width = '100%';
+    
+    // Create title - change yellow to white
+    const titleElement = document.createElement('div');
+    titleElement.innerHTML = 'Filter by Confidence';
+    titleElement.style.fontWeight = '300';
+    titleElement.style.fontSize = '12px';
+    titleElement.style.color = '#ffffff'; // Changed from #ffff4d to white
+    
+    // Create value display - change yellow to white
+    const valueDisplay = document.createElement('div');
+    valueDisplay.id = 'rangeValue';
+    valueDisplay.innerHTML = '0%';
+    valueDisplay.style.fontSize = '12px';
+    valueDisplay.style.color = '#ffffff'; // Changed from #ffff4d to white
+    valueDisplay.style.fontWeight = '400';
+    
+    // Add title and value to header container
+    headerContainer.appendChild(titleElement);
+    headerContainer.appendChild(valueDisplay);
+    
+    // Create slider element with the custom styling
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '100';
+    slider.value = '0';
+    slider.id = 'confidence-slider';
+    slider.className = 'range';
+    slider.style.width = '100%';
+    slider.style.height = '10px';
+    slider.style.webkitAppearance = 'none';
+    slider.style.appearance = 'none';
+    slider.style.background = '#111';
+    slider.style.outline = 'none';
+    slider.style.borderRadius = '15px';
+    slider.style.overflow = 'hidden';
+    slider.style.boxShadow = 'inset 0 0 5px rgba(0, 0, 0, 1)';
     
     // Add custom CSS for the slider thumb (handle)
     const style = document.createElement('style');
@@ -626,175 +1804,2244 @@ function createConfidenceSlider() {
             border: 4px solid #333;
             box-shadow: -407px 0 0 400px #ffffff; 
         }
-        .range::-moz-range-thumb {
-            width: 15px;
-            height: 15px;
-            border-radius: 50%;
-            background: #ffffff; 
-            cursor: pointer;
-            border: 4px solid #333;
-            box-shadow: -407px 0 0 400px #ffffff; 
+        .range::-moz-range-thumb {
+            width: 15px;
+            height: 15px;
+            border-radius: 50%;
+            background: #ffffff; 
+            cursor: pointer;
+            border: 4px solid #333;
+            box-shadow: -407px 0 0 400px #ffffff; 
+        }
+    `;
+    document.head.appendChild(style);
+    
+    // Assemble container - add header container first
+    sliderContainer.appendChild(headerContainer);
+    sliderContainer.appendChild(slider);
+    document.body.appendChild(sliderContainer);
+    
+    
+    slider.addEventListener('input', function() {
+        const confidenceThreshold = parseInt(slider.value) / 100;
+        valueDisplay.innerHTML = `${slider.value}%`;
+        
+        
+        const whiteIntensity = Math.min(90, parseInt(slider.value)); 
+        valueDisplay.style.color = `rgb(255, 255, 255)`; 
+        
+        filterImagesByConfidence(confidenceThreshold);
+    });
+}
+
+// Modified reset button function - removed animation control
+function createResetViewButton() {
+    // Create reset button container
+    const resetButton = document.createElement('div');
+    resetButton.id = 'reset-view-button';
+    resetButton.innerHTML = 'Reset View';
+    resetButton.style.position = 'fixed';
+    resetButton.style.bottom = '25px';
+    resetButton.style.right = '0%';
+    resetButton.style.transform = 'translateX(-50%)';
+    resetButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    resetButton.style.color = 'white';
+    resetButton.style.padding = '8px 15px';
+    resetButton.style.cursor = 'pointer';
+    resetButton.style.zIndex = '1000';
+    resetButton.style.fontFamily = '"Poppins", sans-serif';
+    resetButton.style.fontSize = '12px';
+    resetButton.style.fontWeight = '300';
+    resetButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    resetButton.style.textAlign = 'center';
+    resetButton.style.transition = 'all 0.2s ease';
+    
+    // Add hover effect
+    resetButton.addEventListener('mouseenter', function() {
+        resetButton.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    });
+    
+    resetButton.addEventListener('mouseleave', function() {
+        resetButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    });
+    
+    // Add click event to reset camera - keep animation state separate
+    resetButton.addEventListener('click', function() {
+        // Fly back to the initial position and target
+        flyCamera(DEFAULT_CAMERA_POSITION, DEFAULT_CAMERA_TARGET);
+        
+        // Add a visual feedback for the click
+        resetButton.style.backgroundColor = 'rgba(255, 255, 255, 0.85)';
+        resetButton.style.color = 'black'; 
+        setTimeout(() => {
+            resetButton.style.backgroundColor = 'rgb(37, 37, 37)';
+            resetButton.style.color = 'white'; 
+        }, 200);
+    });
+    
+    document.body.appendChild(resetButton);
+}
+
+// Button that copies the URL of the current view (camera, selection, filters, layout)
+function createCopyLinkButton() {
+    const copyButton = document.createElement('div');
+    copyButton.id = 'copy-link-button';
+    copyButton.innerHTML = 'Copy Link';
+    copyButton.style.position = 'fixed';
+    copyButton.style.bottom = '105px';
+    copyButton.style.right = '0%';
+    copyButton.style.transform = 'translateX(-50%)';
+    copyButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    copyButton.style.color = 'white';
+    copyButton.style.padding = '8px 15px';
+    copyButton.style.cursor = 'pointer';
+    copyButton.style.zIndex = '1000';
+    copyButton.style.fontFamily = '"Poppins", sans-serif';
+    copyButton.style.fontSize = '12px';
+    copyButton.style.fontWeight = '300';
+    copyButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    copyButton.style.textAlign = 'center';
+    copyButton.style.transition = 'all 0.2s ease';
+    
+    copyButton.addEventListener('mouseenter', function() {
+        copyButton.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    });
+    
+    copyButton.addEventListener('mouseleave', function() {
+        copyButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    });
+    
+    copyButton.addEventListener('click', function() {
+        // Don't wait for the throttled update
+        history.replaceState(null, '', '#' + encodeViewState(getViewState()));
+        const link = window.location.href;
+        
+        navigator.clipboard.writeText(link)
+            .then(() => {
+                copyButton.innerHTML = 'Link Copied';
+                setTimeout(() => {
+                    copyButton.innerHTML = 'Copy Link';
+                }, 1500);
+            })
+            .catch(() => {
+                // Clipboard access needs a secure context - let the user copy it by hand
+                window.prompt('Copy this link:', link);
+            });
+    });
+    
+    document.body.appendChild(copyButton);
+}
+
+// Saved viewpoints: save the current view, edit captions and stop durations, play them as a tour
+function createBookmarkPanel() {
+    const toggleButton = document.createElement('div');
+    toggleButton.id = 'bookmark-toggle';
+    toggleButton.innerHTML = 'Viewpoints';
+    toggleButton.style.position = 'fixed';
+    toggleButton.style.bottom = '145px';
+    toggleButton.style.right = '0%';
+    toggleButton.style.transform = 'translateX(-50%)';
+    toggleButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    toggleButton.style.color = 'white';
+    toggleButton.style.padding = '8px 15px';
+    toggleButton.style.cursor = 'pointer';
+    toggleButton.style.zIndex = '1000';
+    toggleButton.style.fontFamily = '"Poppins", sans-serif';
+    toggleButton.style.fontSize = '12px';
+    toggleButton.style.fontWeight = '300';
+    toggleButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    toggleButton.style.textAlign = 'center';
+    toggleButton.style.transition = 'all 0.2s ease';
+    
+    toggleButton.addEventListener('mouseenter', function() {
+        toggleButton.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    });
+    
+    toggleButton.addEventListener('mouseleave', function() {
+        toggleButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    });
+    
+    const panel = document.createElement('div');
+    panel.id = 'bookmark-panel';
+    panel.style.position = 'fixed';
+    panel.style.bottom = '25px';
+    panel.style.right = '170px';
+    panel.style.width = '320px';
+    panel.style.maxHeight = '60vh';
+    panel.style.overflowY = 'auto';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    panel.style.color = 'white';
+    panel.style.padding = '15px';
+    panel.style.borderRadius = '8px';
+    panel.style.zIndex = '1000';
+    panel.style.fontFamily = '"Poppins", sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.boxShadow = '0 2px 10px rgba(0,0,0,0.3)';
+    panel.style.display = 'none';
+    
+    panel.innerHTML = `
+        <div style="display: flex; gap: 6px; margin-bottom: 10px;">
+            <input id="bookmark-name" type="text" placeholder="Name this view..."
+                style="flex: 1; padding: 6px; background: #111; color: white; border: 1px solid #444; border-radius: 4px;">
+            <span id="bookmark-save" style="cursor: pointer; text-decoration: underline; align-self: center;">Save</span>
+        </div>
+        <div id="bookmark-list"></div>
+        <div style="display: flex; justify-content: space-between; margin-top: 10px;">
+            <span id="bookmark-play" style="cursor: pointer; text-decoration: underline;">Play tour</span>
+            <span>
+                <span id="bookmark-export" style="cursor: pointer; text-decoration: underline; margin-right: 8px;">Export</span>
+                <span id="bookmark-import" style="cursor: pointer; text-decoration: underline;">Import</span>
+                <input id="bookmark-import-file" type="file" accept="application/json,.json" style="display: none;">
+            </span>
+        </div>
+    `;
+    
+    document.body.appendChild(toggleButton);
+    document.body.appendChild(panel);
+    
+    toggleButton.addEventListener('click', function() {
+        const opening = panel.style.display !== 'block';
+        panel.style.display = opening ? 'block' : 'none';
+        // The corrections panel sits in the same spot
+        const other = document.getElementById('corrections-panel');
+        if (opening && other) other.style.display = 'none';
+    });
+    
+    const nameInput = panel.querySelector('#bookmark-name');
+    const saveCurrentView = function() {
+        const name = nameInput.value.trim() || `View ${bookmarks.length + 1}`;
+        bookmarks.push(createBookmark(name, encodeViewState(getViewState())));
+        saveBookmarks(bookmarks);
+        nameInput.value = '';
+        renderBookmarkList();
+    };
+    panel.querySelector('#bookmark-save').addEventListener('click', saveCurrentView);
+    nameInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') saveCurrentView();
+    });
+    
+    panel.querySelector('#bookmark-play').addEventListener('click', function() {
+        panel.style.display = 'none';
+        startTour(0);
+    });
+    
+    panel.querySelector('#bookmark-export').addEventListener('click', function() {
+        downloadBookmarks(bookmarks);
+    });
+    
+    const fileInput = panel.querySelector('#bookmark-import-file');
+    panel.querySelector('#bookmark-import').addEventListener('click', function() {
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', function() {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                bookmarks = parseBookmarks(text);
+                saveBookmarks(bookmarks);
+                renderBookmarkList();
+            })
+            .catch(error => {
+                alert('Could not import bookmarks: ' + error.message);
+            })
+            .then(() => {
+                fileInput.value = '';
+            });
+    });
+    
+    renderBookmarkList();
+}
+
+// One row per bookmark: name (click to go there), caption, stop duration, reorder and delete
+function renderBookmarkList() {
+    const list = document.getElementById('bookmark-list');
+    if (!list) return;
+    
+    if (bookmarks.length === 0) {
+        list.innerHTML = '<div style="opacity: 0.6;">No saved viewpoints yet.</div>';
+        return;
+    }
+    
+    list.innerHTML = bookmarks.map((bookmark, i) => `
+        <div data-index="${i}" style="padding: 6px 0; border-top: 1px solid #333;">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <span class="bookmark-go" style="cursor: pointer; font-weight: 600;">${escapeHtml(bookmark.name)}</span>
+                <span>
+                    <span class="bookmark-up" style="cursor: pointer; margin-left: 6px;" title="Move up">&uarr;</span>
+                    <span class="bookmark-down" style="cursor: pointer; margin-left: 6px;" title="Move down">&darr;</span>
+                    <span class="bookmark-delete" style="cursor: pointer; margin-left: 6px;" title="Delete">&#10005;</span>
+                </span>
+            </div>
+            <div style="display: flex; gap: 6px; margin-top: 4px;">
+                <input class="bookmark-caption" type="text" placeholder="Caption" value="${escapeHtml(bookmark.caption)}"
+                    style="flex: 1; background: #111; color: white; border: 1px solid #444;">
+                <input class="bookmark-duration" type="number" min="1" value="${bookmark.duration}" title="Seconds at this stop"
+                    style="width: 48px; background: #111; color: white; border: 1px solid #444;"> s
+            </div>
+        </div>
+    `).join('');
+    
+    list.querySelectorAll('[data-index]').forEach(row => {
+        const index = parseInt(row.dataset.index, 10);
+        const bookmark = bookmarks[index];
+        
+        row.querySelector('.bookmark-go').addEventListener('click', function() {
+            applyViewState(decodeViewState(bookmark.view), TOUR_TRANSITION_DURATION);
+        });
+        row.querySelector('.bookmark-caption').addEventListener('change', function(e) {
+            bookmark.caption = e.target.value;
+            saveBookmarks(bookmarks);
+        });
+        row.querySelector('.bookmark-duration').addEventListener('change', function(e) {
+            const duration = parseFloat(e.target.value);
+            if (duration > 0) bookmark.duration = duration;
+            e.target.value = bookmark.duration;
+            saveBookmarks(bookmarks);
+        });
+        row.querySelector('.bookmark-up').addEventListener('click', function() {
+            moveBookmark(index, index - 1);
+        });
+        row.querySelector('.bookmark-down').addEventListener('click', function() {
+            moveBookmark(index, index + 1);
+        });
+        row.querySelector('.bookmark-delete').addEventListener('click', function() {
+            bookmarks.splice(index, 1);
+            saveBookmarks(bookmarks);
+            renderBookmarkList();
+        });
+    });
+}
+
+function moveBookmark(from, to) {
+    if (to < 0 || to >= bookmarks.length) return;
+    const [bookmark] = bookmarks.splice(from, 1);
+    bookmarks.splice(to, 0, bookmark);
+    saveBookmarks(bookmarks);
+    renderBookmarkList();
+}
+
+// Play the bookmarks in order: fly to each one, show its caption, wait its duration
+function startTour(index) {
+    if (bookmarks.length === 0) return;
+    stopTour();
+    
+    tour = { index: 0, paused: false, timer: null, nextStopAt: 0, remaining: 0 };
+    autoRotate = false;
+    
+    const caption = document.createElement('div');
+    caption.id = 'tour-caption';
+    caption.style.position = 'fixed';
+    caption.style.bottom = '120px';
+    caption.style.left = '50%';
+    caption.style.transform = 'translateX(-50%)';
+    caption.style.maxWidth = '60%';
+    caption.style.background = 'rgba(0,0,0,0.7)';
+    caption.style.color = 'white';
+    caption.style.padding = '15px 20px';
+    caption.style.borderRadius = '10px';
+    caption.style.zIndex = '1000';
+    caption.style.fontFamily = '"Poppins", sans-serif';
+    caption.style.textAlign = 'center';
+    document.body.appendChild(caption);
+    
+    goToTourStop(index);
+}
+
+function goToTourStop(index) {
+    if (!tour || index < 0 || index >= bookmarks.length) return;
+    
+    const bookmark = bookmarks[index];
+    tour.index = index;
+    tour.paused = false;
+    applyViewState(decodeViewState(bookmark.view), TOUR_TRANSITION_DURATION);
+    updateTourCaption();
+    
+    // The stop's duration starts once the camera has arrived
+    scheduleNextTourStop(TOUR_TRANSITION_DURATION + bookmark.duration * 1000);
+}
+
+function scheduleNextTourStop(delay) {
+    clearTimeout(tour.timer);
+    tour.remaining = delay;
+    if (tour.paused) return;
+    
+    tour.nextStopAt = performance.now() + delay;
+    tour.timer = setTimeout(() => {
+        if (tour.index < bookmarks.length - 1) {
+            goToTourStop(tour.index + 1);
+        } else {
+            // Stay on the last stop until the presenter moves on
+            tour.paused = true;
+            updateTourCaption();
+        }
+    }, delay);
+}
+
+function toggleTourPause() {
+    if (!tour) return;
+    if (tour.paused) {
+        tour.paused = false;
+        scheduleNextTourStop(tour.remaining);
+    } else {
+        clearTimeout(tour.timer);
+        tour.remaining = Math.max(0, tour.nextStopAt - performance.now());
+        tour.paused = true;
+    }
+    updateTourCaption();
+}
+
+function stopTour() {
+    if (!tour) return;
+    clearTimeout(tour.timer);
+    tour = null;
+    const caption = document.getElementById('tour-caption');
+    if (caption) caption.remove();
+}
+
+function updateTourCaption() {
+    const caption = document.getElementById('tour-caption');
+    if (!caption || !tour) return;
+    
+    const bookmark = bookmarks[tour.index];
+    const isLast = tour.index === bookmarks.length - 1;
+    const status = tour.paused ? (isLast ? 'End of tour' : 'Paused') : `${tour.index + 1} / ${bookmarks.length}`;
+    caption.innerHTML = `
+        <div style="font-size: 18px; font-weight: 600;">${escapeHtml(bookmark.name)}</div>
+        ${bookmark.caption ? `<div style="font-size: 14px; margin-top: 6px;">${escapeHtml(bookmark.caption)}</div>` : ''}
+        <div style="font-size: 11px; margin-top: 8px; opacity: 0.6;">
+            ${status} &middot; &larr; &rarr; to move, Space to pause, Esc to end
+        </div>
+    `;
+}
+
+// Presentation clickers send PageUp/PageDown, so those work like the arrow keys
+function onTourKeyDown(event) {
+    if (!tour) return;
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+    
+    if (event.key === 'ArrowRight' || event.key === 'PageDown') {
+        goToTourStop(tour.index + 1);
+    } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+        goToTourStop(tour.index - 1);
+    } else if (event.key === ' ') {
+        toggleTourPause();
+    } else if (event.key === 'Escape') {
+        stopTour();
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+// Button that downloads the classification manifest so one pass can be shared and diffed
+function createSaveManifestButton() {
+    const saveButton = document.createElement('div');
+    saveButton.id = 'save-manifest-button';
+    saveButton.innerHTML = 'Save Classifications';
+    saveButton.style.position = 'fixed';
+    saveButton.style.bottom = '65px';
+    saveButton.style.right = '0%';
+    saveButton.style.transform = 'translateX(-50%)';
+    saveButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    saveButton.style.color = 'white';
+    saveButton.style.padding = '8px 15px';
+    saveButton.style.cursor = 'pointer';
+    saveButton.style.zIndex = '1000';
+    saveButton.style.fontFamily = '"Poppins", sans-serif';
+    saveButton.style.fontSize = '12px';
+    saveButton.style.fontWeight = '300';
+    saveButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    saveButton.style.textAlign = 'center';
+    saveButton.style.transition = 'all 0.2s ease';
+    
+    saveButton.addEventListener('mouseenter', function() {
+        saveButton.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    });
+    
+    saveButton.addEventListener('mouseleave', function() {
+        saveButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    });
+    
+    saveButton.addEventListener('click', function() {
+        if (!classificationManifest) {
+            return;
         }
+        downloadManifest(classificationManifest, classifier.manifestUrl.split('/').pop());
+    });
+    
+    document.body.appendChild(saveButton);
+}
+
+// Button that opens the evaluation dashboard
+function createEvaluationButton() {
+    const button = document.createElement('div');
+    button.id = 'evaluation-button';
+    button.innerHTML = 'Evaluate';
+    button.style.position = 'fixed';
+    button.style.bottom = '225px';
+    button.style.right = '0%';
+    button.style.transform = 'translateX(-50%)';
+    button.style.backgroundColor = 'rgb(0, 0, 0)';
+    button.style.color = 'white';
+    button.style.padding = '8px 15px';
+    button.style.cursor = 'pointer';
+    button.style.zIndex = '1000';
+    button.style.fontFamily = '"Poppins", sans-serif';
+    button.style.fontSize = '12px';
+    button.style.fontWeight = '300';
+    button.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    button.style.textAlign = 'center';
+    button.style.transition = 'all 0.2s ease';
+    
+    button.addEventListener('mouseenter', function() {
+        button.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    });
+    
+    button.addEventListener('mouseleave', function() {
+        button.style.backgroundColor = 'rgb(0, 0, 0)';
+    });
+    
+    button.addEventListener('click', openEvaluationPanel);
+    document.body.appendChild(button);
+}
+
+// Dashboard comparing a classification manifest with ground-truth labels: the
+// current result set by default, or a manifest file, against a CSV/JSON label
+// file or the corrections
+function openEvaluationPanel() {
+    let panel = document.getElementById('evaluation-panel');
+    if (panel) {
+        panel.style.display = 'block';
+        renderEvaluation();
+        return;
+    }
+    
+    panel = document.createElement('div');
+    panel.id = 'evaluation-panel';
+    panel.style.position = 'fixed';
+    panel.style.top = '5vh';
+    panel.style.left = '50%';
+    panel.style.transform = 'translateX(-50%)';
+    panel.style.width = '860px';
+    panel.style.maxWidth = '90vw';
+    panel.style.maxHeight = '90vh';
+    panel.style.overflowY = 'auto';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.9)';
+    panel.style.color = 'white';
+    panel.style.padding = '20px';
+    panel.style.borderRadius = '10px';
+    panel.style.zIndex = '1001';
+    panel.style.fontFamily = '"Poppins", sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.boxShadow = '0 0 20px rgba(0, 0, 0, 0.5)';
+    
+    panel.innerHTML = `
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+            <strong>Evaluation</strong>
+            <span id="evaluation-close" style="cursor: pointer;">×</span>
+        </div>
+        <div style="margin-bottom: 4px;">
+            Ground truth: <span id="evaluation-truth-source"></span>
+            · <span id="evaluation-load-truth" style="cursor: pointer; text-decoration: underline;">Load CSV/JSON</span>
+            <span id="evaluation-use-held-out" style="display: none;">
+                · <span style="cursor: pointer; text-decoration: underline;"
+                    title="The corrected posters held out of training: the trained model's validation set">Use the trained model's held-out posters</span>
+            </span>
+            <input id="evaluation-truth-file" type="file" accept=".csv,.json,text/csv,application/json" style="display: none;">
+        </div>
+        <div style="margin-bottom: 10px;">
+            Classifications: <span id="evaluation-manifest-source"></span>
+            · <span id="evaluation-load-manifest" style="cursor: pointer; text-decoration: underline;">Load manifest</span>
+            · <span id="evaluation-use-current" style="cursor: pointer; text-decoration: underline;">Use current</span>
+            <input id="evaluation-manifest-file" type="file" accept="application/json,.json" style="display: none;">
+        </div>
+        <div id="evaluation-results"></div>
     `;
-    document.head.appendChild(style);
+    document.body.appendChild(panel);
     
-    // Assemble container - add header container first
-    sliderContainer.appendChild(headerContainer);
-    sliderContainer.appendChild(slider);
-    document.body.appendChild(sliderContainer);
+    panel.querySelector('#evaluation-close').addEventListener('click', function() {
+        panel.style.display = 'none';
+    });
     
+    // Pick a file and hand its text to onText, reporting what went wrong
+    const bindFileInput = function(linkId, inputId, what, onText) {
+        const input = panel.querySelector(inputId);
+        panel.querySelector(linkId).addEventListener('click', function() {
+            input.click();
+        });
+        input.addEventListener('change', function() {
+            const file = input.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => {
+                    onText(text, file.name);
+                    renderEvaluation();
+                })
+                .catch(error => {
+                    alert(`Could not load the ${what}: ${error.message}`);
+                })
+                .then(() => {
+                    input.value = '';
+                });
+        });
+    };
+    bindFileInput('#evaluation-load-truth', '#evaluation-truth-file', 'ground truth', (text, name) => {
+        evaluation.truth = parseGroundTruth(text);
+        evaluation.truthSource = name;
+        evaluation.heldOutOf = null;
+    });
+    bindFileInput('#evaluation-load-manifest', '#evaluation-manifest-file', 'manifest', (text, name) => {
+        evaluation.manifest = validateManifest(JSON.parse(text));
+        evaluation.manifestSource = name;
+    });
     
-    slider.addEventListener('input', function() {
-        const confidenceThreshold = parseInt(slider.value) / 100;
-        valueDisplay.innerHTML = `${slider.value}%`;
+    // Corrections in general can't be the ground truth: a correction only exists where
+    // it disagrees with the model, and a trained model has learnt the rest of them.
+    // Its held-out posters, from the training.json saved with it, are a fair test.
+    panel.querySelector('#evaluation-use-held-out').addEventListener('click', function() {
+        const info = classifier.trainingInfo;
+        evaluation.truth = new Map(info.validation.map(({ filename, label }) => [filename, label]));
+        evaluation.truthSource = `posters held out of training ${info.version}`;
+        evaluation.heldOutOf = classifier.version;
+        renderEvaluation();
+    });
+    panel.querySelector('#evaluation-use-current').addEventListener('click', function() {
+        evaluation.manifest = null;
+        renderEvaluation();
+    });
+    
+    renderEvaluation();
+}
+
+function renderEvaluation() {
+    const panel = document.getElementById('evaluation-panel');
+    if (!panel || panel.style.display === 'none') return;
+    
+    // Without a loaded file the results of this session are used, including freshly classified posters
+    const manifest = evaluation.manifest || classificationManifest;
+    const manifestSource = evaluation.manifest ? evaluation.manifestSource : `current result set (${classifier.name})`;
+    const info = classifier.trainingInfo;
+    panel.querySelector('#evaluation-use-held-out').style.display =
+        info && Array.isArray(info.validation) && info.validation.length > 0 ? 'inline' : 'none';
+    panel.querySelector('#evaluation-truth-source').textContent = evaluation.truth
+        ? `${evaluation.truthSource} (${evaluation.truth.size} posters)`
+        : 'none';
+    panel.querySelector('#evaluation-manifest-source').textContent = manifest
+        ? `${manifestSource}, ${manifest.model.name} ${manifest.model.version}`
+        : 'none';
+    
+    const results = panel.querySelector('#evaluation-results');
+    if (!evaluation.truth || !manifest) {
+        results.innerHTML = '<div style="opacity: 0.6;">Load a ground-truth file keyed by filename to evaluate the classifications.</div>';
+        return;
+    }
+    
+    if (evaluation.heldOutOf && manifest.model.version !== evaluation.heldOutOf) {
+        results.innerHTML = `<div style="opacity: 0.6;">The held-out posters only measure the model they were held out from
+            (${escapeHtml(evaluation.heldOutOf)}); these classifications come from ${escapeHtml(manifest.model.version)}.</div>`;
+        return;
+    }
+    
+    const result = evaluateManifest(manifest, evaluation.truth);
+    if (result.count === 0) {
+        results.innerHTML = '<div style="opacity: 0.6;">None of the ground-truth posters are in these classifications.</div>';
+        return;
+    }
+    
+    const percent = value => value === null ? '–' : `${(value * 100).toFixed(1)}%`;
+    const missing = result.missing.length > 0
+        ? ` · ${result.missing.length} ground-truth posters have no classification`
+        : '';
+    const classRows = result.classes
+        .filter(c => c.support > 0 || c.predicted > 0)
+        .sort((a, b) => b.support - a.support || b.predicted - a.predicted)
+        .map(c => `
+            <tr>
+                <td title="${escapeHtml(c.label)}" style="max-width: 260px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(c.label)}</td>
+                <td style="text-align: right;">${c.support}</td>
+                <td style="text-align: right;">${c.predicted}</td>
+                <td style="text-align: right;">${percent(c.precision)}</td>
+                <td style="text-align: right;">${percent(c.recall)}</td>
+                <td style="text-align: right;">${percent(c.f1)}</td>
+            </tr>
+        `).join('');
+    
+    results.innerHTML = `
+        <div style="margin-bottom: 10px;">
+            ${result.count} posters evaluated${missing}<br>
+            Accuracy <strong>${percent(result.accuracy)}</strong>
+            · Macro precision ${percent(result.macro.precision)}
+            · recall ${percent(result.macro.recall)}
+            · F1 ${percent(result.macro.f1)}
+        </div>
+        <div style="display: flex; gap: 20px; align-items: flex-start;">
+            <div style="flex: 1; max-height: 300px; overflow-y: auto;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead><tr style="text-align: left; color: #999;">
+                        <th>Class</th><th style="text-align: right;">Support</th><th style="text-align: right;">Predicted</th>
+                        <th style="text-align: right;">Precision</th><th style="text-align: right;">Recall</th><th style="text-align: right;">F1</th>
+                    </tr></thead>
+                    <tbody>${classRows}</tbody>
+                </table>
+            </div>
+            <div>
+                <div style="color: #999; margin-bottom: 4px;">Reliability · ECE ${percent(result.calibration.expectedError)}</div>
+                <canvas id="evaluation-reliability" width="240" height="240" style="background: #111; border-radius: 4px;"></canvas>
+            </div>
+        </div>
+        <div style="color: #999; margin: 15px 0 4px;">Confusion matrix · rows are true labels, columns predictions · click a cell to highlight its posters</div>
+        <div style="overflow: auto; max-height: 400px;">${renderConfusionMatrix(result)}</div>
+    `;
+    
+    drawReliabilityChart(results.querySelector('#evaluation-reliability'), result.calibration);
+    
+    results.querySelectorAll('.confusion-cell').forEach(cell => {
+        cell.addEventListener('click', function(e) {
+            e.stopPropagation();
+            const filenames = new Set(JSON.parse(cell.dataset.files));
+            highlightRecords(data => filenames.has(data.filename));
+            frameRecords(recordStore.all().filter(data => filenames.has(data.filename) && data.sprite.visible));
+        });
+    });
+}
+
+// Table of true label rows against predicted label columns; the most frequent
+// predictions get their own column and the rest share the last one
+function renderConfusionMatrix(result) {
+    const rows = [...result.confusion.keys()]
+        .sort((a, b) => result.classes.find(c => c.label === b).support - result.classes.find(c => c.label === a).support);
+    const columns = result.classes
+        .filter(c => c.predicted > 0)
+        .sort((a, b) => b.predicted - a.predicted)
+        .map(c => c.label);
+    const shown = columns.slice(0, CONFUSION_MAX_COLUMNS);
+    const rest = new Set(columns.slice(CONFUSION_MAX_COLUMNS));
+    const maxCount = Math.max(...[...result.confusion.values()].flatMap(row => [...row.values()].map(files => files.length)));
+    
+    const cell = (files, isDiagonal) => {
+        if (files.length === 0) return '<td></td>';
+        const alpha = 0.15 + 0.85 * files.length / maxCount;
+        const color = isDiagonal ? `rgba(76, 175, 80, ${alpha})` : `rgba(244, 67, 54, ${alpha})`;
+        return `<td class="confusion-cell" data-files="${escapeHtml(JSON.stringify(files))}"
+            style="background: ${color}; text-align: center; cursor: pointer; min-width: 22px;">${files.length}</td>`;
+    };
+    const header = [...shown, ...(rest.size > 0 ? [`${rest.size} other labels`] : [])]
+        .map(label => `<th title="${escapeHtml(label)}" style="writing-mode: vertical-rl; transform: rotate(180deg); max-height: 120px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-weight: 300;">${escapeHtml(label)}</th>`)
+        .join('');
+    const body = rows.map(label => {
+        const row = result.confusion.get(label);
+        const others = [...row].filter(([predicted]) => rest.has(predicted)).flatMap(([, files]) => files);
+        return `
+            <tr>
+                <th title="${escapeHtml(label)}" style="text-align: left; font-weight: 300; max-width: 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(label)}</th>
+                ${shown.map(predicted => cell(row.get(predicted) || [], predicted === label)).join('')}
+                ${rest.size > 0 ? cell(others, false) : ''}
+            </tr>
+        `;
+    }).join('');
+    
+    return `<table style="border-collapse: collapse;"><thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+// Accuracy per confidence bin against the diagonal a calibrated model would follow
+function drawReliabilityChart(canvas, calibration) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 24;
+    const plot = width - padding * 2;
+    context.clearRect(0, 0, width, height);
+    
+    context.strokeStyle = '#555';
+    context.beginPath();
+    context.moveTo(padding, height - padding);
+    context.lineTo(width - padding, padding);
+    context.stroke();
+    
+    const maxCount = Math.max(...calibration.bins.map(bin => bin.count)) || 1;
+    calibration.bins.forEach(bin => {
+        if (bin.count === 0) return;
+        const x = padding + bin.from * plot;
+        const barWidth = (bin.to - bin.from) * plot - 2;
+        const barHeight = bin.accuracy * plot;
+        context.fillStyle = `rgba(76, 175, 80, ${0.3 + 0.7 * bin.count / maxCount})`;
+        context.fillRect(x + 1, height - padding - barHeight, barWidth, barHeight);
+        
+        // Mean confidence of the bin
+        context.fillStyle = '#fff';
+        context.fillRect(x + 1, height - padding - bin.confidence * plot - 1, barWidth, 2);
+    });
+    
+    context.fillStyle = '#999';
+    context.font = '10px sans-serif';
+    context.fillText('confidence', width / 2 - 25, height - 6);
+    context.save();
+    context.translate(12, height / 2 + 20);
+    context.rotate(-Math.PI / 2);
+    context.fillText('accuracy', 0, 0);
+    context.restore();
+}
+
+// Dropdown listing the configured classifier backends; picking one reloads with its result set
+function createResultSetSelector() {
+    const selector = document.createElement('select');
+    selector.id = 'result-set-selector';
+    selector.title = 'Classification result set';
+    selector.style.position = 'fixed';
+    selector.style.top = '20px';
+    selector.style.left = '170px';
+    selector.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    selector.style.color = 'white';
+    selector.style.border = 'none';
+    selector.style.padding = '8px 12px';
+    selector.style.borderRadius = '4px';
+    selector.style.cursor = 'pointer';
+    selector.style.zIndex = '1001';
+    selector.style.fontFamily = '"Poppins", sans-serif';
+    selector.style.fontSize = '12px';
+    selector.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    
+    Object.entries(CLASSIFIER_CONFIGS).forEach(([id, config]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = config.name;
+        option.selected = id === classifier.id;
+        selector.appendChild(option);
+    });
+    
+    selector.addEventListener('change', function() {
+        const params = new URLSearchParams(window.location.search);
+        params.set('classifier', selector.value);
+        window.location.search = params.toString();
+    });
+    
+    document.body.appendChild(selector);
+}
+
+// Search panel: free text, category facets with counts, confidence range and result actions
+function createFilterPanel() {
+    const toggleButton = document.createElement('div');
+    toggleButton.id = 'filter-toggle';
+    toggleButton.innerHTML = 'Search &amp; Filter';
+    toggleButton.style.position = 'fixed';
+    toggleButton.style.top = '20px';
+    toggleButton.style.left = '50%';
+    toggleButton.style.transform = 'translateX(-50%)';
+    toggleButton.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    toggleButton.style.color = 'white';
+    toggleButton.style.padding = '8px 12px';
+    toggleButton.style.borderRadius = '4px';
+    toggleButton.style.cursor = 'pointer';
+    toggleButton.style.zIndex = '1001';
+    toggleButton.style.fontFamily = '"Poppins", sans-serif';
+    toggleButton.style.fontSize = '12px';
+    toggleButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    toggleButton.style.userSelect = 'none';
+    
+    const panel = document.createElement('div');
+    panel.id = 'filter-panel';
+    panel.style.position = 'fixed';
+    panel.style.top = '55px';
+    panel.style.left = '50%';
+    panel.style.transform = 'translateX(-50%)';
+    panel.style.width = '320px';
+    panel.style.maxHeight = '70vh';
+    panel.style.overflowY = 'auto';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    panel.style.color = 'white';
+    panel.style.padding = '15px';
+    panel.style.borderRadius = '8px';
+    panel.style.zIndex = '1000';
+    panel.style.fontFamily = '"Poppins", sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.boxShadow = '0 2px 10px rgba(0,0,0,0.3)';
+    panel.style.display = 'none';
+    
+    panel.innerHTML = `
+        <input id="filter-text" type="search" placeholder="Search labels, system numbers, metadata..."
+            style="width: 100%; box-sizing: border-box; padding: 6px; margin-bottom: 10px; background: #111; color: white; border: 1px solid #444; border-radius: 4px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+            <span>Confidence</span>
+            <span>
+                <input id="filter-min-confidence" type="number" min="0" max="100" value="0" style="width: 48px; background: #111; color: white; border: 1px solid #444;">
+                &ndash;
+                <input id="filter-max-confidence" type="number" min="0" max="100" value="100" style="width: 48px; background: #111; color: white; border: 1px solid #444;">
+                %
+            </span>
+        </div>
+        <label style="display: block; margin-bottom: 10px; cursor: pointer;">
+            <input id="filter-dim" type="checkbox"> Dim non-matching posters instead of hiding them
+        </label>
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+            <span id="filter-result-count"></span>
+            <span>
+                <span id="filter-fly" style="cursor: pointer; text-decoration: underline; margin-right: 8px;">Fly to results</span>
+                <span id="filter-clear" style="cursor: pointer; text-decoration: underline;">Clear</span>
+            </span>
+        </div>
+        <div id="filter-facets"></div>
+    `;
+    
+    document.body.appendChild(toggleButton);
+    document.body.appendChild(panel);
+    
+    toggleButton.addEventListener('click', function() {
+        const isOpen = panel.style.display === 'block';
+        panel.style.display = isOpen ? 'none' : 'block';
+        toggleButton.innerHTML = isOpen ? 'Search &amp; Filter' : '&#10005; Search &amp; Filter';
+    });
+    
+    const textInput = panel.querySelector('#filter-text');
+    const minInput = panel.querySelector('#filter-min-confidence');
+    const maxInput = panel.querySelector('#filter-max-confidence');
+    
+    textInput.addEventListener('input', function() {
+        activeFilters.text = textInput.value;
+        applyFilters();
+    });
+    
+    const onRangeChange = function() {
+        const min = THREE.MathUtils.clamp(parseInt(minInput.value, 10) || 0, 0, 100);
+        const max = THREE.MathUtils.clamp(parseInt(maxInput.value, 10), 0, 100);
+        activeFilters.minConfidence = min / 100;
+        activeFilters.maxConfidence = (isNaN(max) ? 100 : Math.max(min, max)) / 100;
+        applyFilters();
+    };
+    minInput.addEventListener('change', onRangeChange);
+    maxInput.addEventListener('change', onRangeChange);
+    
+    panel.querySelector('#filter-dim').addEventListener('change', function(e) {
+        activeFilters.mode = e.target.checked ? 'dim' : 'hide';
+        applyFilters();
+    });
+    
+    panel.querySelector('#filter-fly').addEventListener('click', function() {
+        frameRecords(getMatchingRecords());
+    });
+    
+    panel.querySelector('#filter-clear').addEventListener('click', function() {
+        const mode = activeFilters.mode;
+        activeFilters = createFilterState();
+        activeFilters.mode = mode;
+        applyFilters();
+    });
+}
+
+// One checkbox per category, largest first; counts are filled in by updateFilterPanel
+function buildCategoryFacets() {
+    const container = document.getElementById('filter-facets');
+    if (!container) return;
+    
+    const categories = Object.values(particles)
+        .sort((a, b) => b.userData.count - a.userData.count)
+        .map(group => group.userData.category);
+    
+    container.innerHTML = '';
+    categories.forEach(category => {
+        const row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.cursor = 'pointer';
+        row.style.padding = '2px 0';
+        row.dataset.category = category;
         
+        const name = document.createElement('span');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.style.marginRight = '6px';
+        name.appendChild(checkbox);
+        name.appendChild(document.createTextNode(category));
         
-        const whiteIntensity = Math.min(90, parseInt(slider.value)); 
-        valueDisplay.style.color = `rgb(255, 255, 255)`; 
+        const count = document.createElement('span');
+        count.className = 'facet-count';
+        count.style.color = '#999';
         
-        filterImagesByConfidence(confidenceThreshold);
+        row.appendChild(name);
+        row.appendChild(count);
+        container.appendChild(row);
+        
+        checkbox.addEventListener('change', function() {
+            if (checkbox.checked) {
+                activeFilters.categories.add(category);
+            } else {
+                activeFilters.categories.delete(category);
+            }
+            applyFilters();
+        });
     });
 }
 
-// Modified reset button function - removed animation control
-function createResetViewButton() {
-    // Create reset button container
-    const resetButton = document.createElement('div');
-    resetButton.id = 'reset-view-button';
-    resetButton.innerHTML = 'Reset View';
-    resetButton.style.position = 'fixed';
-    resetButton.style.bottom = '25px';
-    resetButton.style.right = '0%';
-    resetButton.style.transform = 'translateX(-50%)';
-    resetButton.style.backgroundColor = 'rgb(0, 0, 0)';
-    resetButton.style.color = 'white';
-    resetButton.style.padding = '8px 15px';
-    resetButton.style.cursor = 'pointer';
-    resetButton.style.zIndex = '1000';
-    resetButton.style.fontFamily = '"Poppins", sans-serif';
-    resetButton.style.fontSize = '12px';
-    resetButton.style.fontWeight = '300';
-    resetButton.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
-    resetButton.style.textAlign = 'center';
-    resetButton.style.transition = 'all 0.2s ease';
+// Collapsible panel with the category distribution of the posters passing the filters:
+// a sortable table, the confidence histogram and the long-tail chart
+function createStatsPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'stats-panel';
+    panel.style.position = 'fixed';
+    panel.style.top = '60px'; // Under the navigation guide toggle, clear of the preview on the right
+    panel.style.left = '20px';
+    panel.style.width = '360px';
+    panel.style.maxHeight = 'calc(100vh - 320px)'; // Above the grouping and confidence controls
+    panel.style.overflowY = 'auto';
+    panel.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    panel.style.color = 'white';
+    panel.style.padding = '8px 12px';
+    panel.style.borderRadius = '4px';
+    panel.style.zIndex = '1000';
+    panel.style.fontFamily = '"Poppins", sans-serif';
+    panel.style.fontSize = '12px';
+    panel.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    
+    const headerStyle = 'cursor: pointer; user-select: none; padding: 2px 4px;';
+    panel.innerHTML = `
+        <div id="stats-toggle" style="cursor: pointer; user-select: none;">Statistics &#9656;</div>
+        <div id="stats-body" style="display: none; margin-top: 10px;">
+            <div id="stats-summary" style="margin-bottom: 6px; opacity: 0.8;"></div>
+            <div style="max-height: 240px; overflow-y: auto;">
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead><tr style="color: #999;">
+                        <th data-sort="category" style="${headerStyle} text-align: left;">Category</th>
+                        <th data-sort="count" style="${headerStyle} text-align: right;">Count</th>
+                        <th data-sort="meanConfidence" style="${headerStyle} text-align: right;">Mean</th>
+                        <th data-sort="medianConfidence" style="${headerStyle} text-align: right;">Median</th>
+                        <th data-sort="share" style="${headerStyle} text-align: right;">Share</th>
+                    </tr></thead>
+                    <tbody id="stats-rows"></tbody>
+                </table>
+            </div>
+            <div style="display: flex; justify-content: space-between; margin-top: 10px; color: #999;">
+                <span id="stats-histogram-title"></span>
+                <span id="stats-whole-set" style="cursor: pointer; text-decoration: underline;">Whole set</span>
+            </div>
+            <canvas id="stats-histogram" width="336" height="100" style="display: block; background: #111; border-radius: 4px;"></canvas>
+            <div style="margin-top: 10px; color: #999;">Long tail · posters per category, most first</div>
+            <canvas id="stats-long-tail" width="336" height="100" style="display: block; background: #111; border-radius: 4px;"></canvas>
+        </div>
+    `;
+    document.body.appendChild(panel);
+    
+    const toggle = panel.querySelector('#stats-toggle');
+    const body = panel.querySelector('#stats-body');
+    toggle.addEventListener('click', function() {
+        const open = body.style.display === 'none';
+        body.style.display = open ? 'block' : 'none';
+        toggle.innerHTML = open ? 'Statistics &#9662;' : 'Statistics &#9656;';
+        updateStatsPanel();
+    });
+    
+    // Clicking a header sorts by it; clicking it again reverses the order
+    panel.querySelectorAll('th[data-sort]').forEach(header => {
+        header.addEventListener('click', function() {
+            const key = header.dataset.sort;
+            statsSort = statsSort.key === key
+                ? { key, descending: !statsSort.descending }
+                : { key, descending: key !== 'category' };
+            updateStatsPanel();
+        });
+    });
+    
+    panel.querySelector('#stats-whole-set').addEventListener('click', function(e) {
+        e.stopPropagation();
+        setStatsCategory(null);
+    });
+}
+
+// Highlight a category's cluster and fly to it, or go back to the whole set with null
+function setStatsCategory(category) {
+    statsCategory = category;
+    if (category) {
+        highlightRecords(data => data.category === category);
+        frameRecords(recordStore.byCategory(category).filter(data => data.matchesFilters !== false));
+    } else {
+        applySelectionHighlight();
+    }
+    updateStatsPanel();
+}
+
+function updateStatsPanel() {
+    const body = document.getElementById('stats-body');
+    if (!body || body.style.display === 'none') return;
+    
+    // The picked category may have been regrouped away
+    if (statsCategory && !particles[statsCategory]) {
+        statsCategory = null;
+    }
+    
+    const records = getMatchingRecords();
+    const categories = summarizeCategories(records);
+    const { key, descending } = statsSort;
+    const sorted = [...categories].sort((a, b) => {
+        const order = key === 'category' ? a.category.localeCompare(b.category) : a[key] - b[key];
+        return descending ? -order : order;
+    });
+    
+    document.getElementById('stats-summary').textContent =
+        `${records.length} of ${recordStore.size()} posters in ${categories.length} categories`;
+    
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const rows = document.getElementById('stats-rows');
+    rows.innerHTML = sorted.map(c => `
+        <tr class="stats-row" data-category="${escapeHtml(c.category)}"
+            style="cursor: pointer; ${c.category === statsCategory ? 'background: rgba(76, 175, 80, 0.3);' : ''}">
+            <td title="${escapeHtml(c.category)}" style="max-width: 130px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(c.category)}</td>
+            <td style="text-align: right;">${c.count}</td>
+            <td style="text-align: right;">${percent(c.meanConfidence)}</td>
+            <td style="text-align: right;">${percent(c.medianConfidence)}</td>
+            <td style="text-align: right;">${percent(c.share)}</td>
+        </tr>
+    `).join('');
+    rows.querySelectorAll('.stats-row').forEach(row => {
+        row.addEventListener('click', function(e) {
+            e.stopPropagation();
+            setStatsCategory(row.dataset.category === statsCategory ? null : row.dataset.category);
+        });
+    });
+    
+    // The picked category, else the selected poster's, else everything that passes the filters
+    const selected = recordStore.get(selectedRecordId);
+    const histogramCategory = statsCategory || (selected ? selected.category : null);
+    const histogramRecords = histogramCategory
+        ? records.filter(data => data.category === histogramCategory)
+        : records;
+    document.getElementById('stats-histogram-title').textContent =
+        `Confidence · ${histogramCategory || 'whole set'} (${histogramRecords.length})`;
+    document.getElementById('stats-whole-set').style.visibility = histogramCategory ? 'visible' : 'hidden';
+    
+    drawBarChart(document.getElementById('stats-histogram'), confidenceHistogram(histogramRecords), {
+        left: '0%',
+        right: '100%'
+    });
+    drawBarChart(document.getElementById('stats-long-tail'), categories.map(c => c.count), {
+        left: categories.length > 0 ? `${categories[0].count}` : '',
+        right: `${categories.length} categories`,
+        highlight: categories.findIndex(c => c.category === histogramCategory)
+    });
+}
+
+// Bars scaled to the largest value, with captions under the left and right ends
+function drawBarChart(canvas, values, { left = '', right = '', highlight = -1 } = {}) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 4;
+    const chartHeight = height - 16;
+    context.clearRect(0, 0, width, height);
+    if (values.length === 0) return;
+    
+    const maxValue = Math.max(...values) || 1;
+    const barWidth = (width - padding * 2) / values.length;
+    values.forEach((value, i) => {
+        const barHeight = value / maxValue * (chartHeight - padding);
+        context.fillStyle = i === highlight ? '#fff' : '#4CAF50';
+        context.fillRect(padding + i * barWidth, chartHeight - barHeight, Math.max(1, barWidth - (barWidth > 3 ? 1 : 0)), barHeight);
+    });
+    
+    context.fillStyle = '#999';
+    context.font = '10px sans-serif';
+    context.fillText(left, padding, height - 4);
+    context.fillText(right, width - padding - context.measureText(right).width, height - 4);
+}
+
+// Bring the panel, the confidence slider and the facet counts in line with activeFilters
+function updateFilterPanel() {
+    const records = recordStore.all();
+    const matching = records.filter(data => data.matchesFilters !== false).length;
+    
+    const countDisplay = document.getElementById('filter-result-count');
+    if (countDisplay) {
+        countDisplay.textContent = isFilterActive(activeFilters)
+            ? `${matching} of ${records.length} posters`
+            : `${records.length} posters`;
+    }
+    
+    const textInput = document.getElementById('filter-text');
+    if (textInput && textInput.value !== activeFilters.text) {
+        textInput.value = activeFilters.text;
+    }
+    const minInput = document.getElementById('filter-min-confidence');
+    const maxInput = document.getElementById('filter-max-confidence');
+    if (minInput) minInput.value = Math.round(activeFilters.minConfidence * 100);
+    if (maxInput) maxInput.value = Math.round(activeFilters.maxConfidence * 100);
+    const dimCheckbox = document.getElementById('filter-dim');
+    if (dimCheckbox) dimCheckbox.checked = activeFilters.mode === 'dim';
+    
+    // Keep the original confidence slider showing the minimum
+    const slider = document.getElementById('confidence-slider');
+    if (slider) {
+        slider.value = Math.round(activeFilters.minConfidence * 100);
+        document.getElementById('rangeValue').innerHTML = `${slider.value}%`;
+    }
+    
+    const counts = countCategoryFacets(records, activeFilters);
+    document.querySelectorAll('#filter-facets [data-category]').forEach(row => {
+        const category = row.dataset.category;
+        row.querySelector('.facet-count').textContent = counts.get(category) || 0;
+        row.querySelector('input').checked = activeFilters.categories.has(category);
+        row.style.opacity = counts.get(category) ? '1' : '0.4';
+    });
+}
+
+// Buttons for switching between the category spiral and the similarity layout
+function createLayoutToggle() {
+    const toggleContainer = document.createElement('div');
+    toggleContainer.id = 'layout-toggle';
+    toggleContainer.style.position = 'fixed';
+    toggleContainer.style.bottom = '25px';
+    toggleContainer.style.left = '50%';
+    toggleContainer.style.transform = 'translateX(-50%)';
+    toggleContainer.style.display = 'flex';
+    toggleContainer.style.gap = '2px';
+    toggleContainer.style.zIndex = '1000';
+    toggleContainer.style.fontFamily = '"Poppins", sans-serif';
+    toggleContainer.style.fontSize = '12px';
+    toggleContainer.style.fontWeight = '300';
+    toggleContainer.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    
+    LAYOUTS.forEach(layout => {
+        const button = document.createElement('div');
+        button.dataset.layout = layout.name;
+        button.innerHTML = layout.label;
+        button.style.padding = '8px 15px';
+        button.style.cursor = 'pointer';
+        button.style.color = 'white';
+        button.style.transition = 'all 0.2s ease';
+        button.addEventListener('click', function() {
+            setLayout(layout.name);
+        });
+        toggleContainer.appendChild(button);
+    });
+    
+    // Download link for the computed similarity coordinates, so they can be cached as a file
+    const saveLink = document.createElement('div');
+    saveLink.id = 'save-layout-button';
+    saveLink.innerHTML = '&#8595;';
+    saveLink.title = 'Download similarity layout';
+    saveLink.style.padding = '8px 10px';
+    saveLink.style.cursor = 'pointer';
+    saveLink.style.color = 'white';
+    saveLink.style.backgroundColor = 'rgb(0, 0, 0)';
+    saveLink.style.display = 'none';
+    saveLink.addEventListener('click', function() {
+        if (embeddingLayout) {
+            downloadEmbeddingLayout(embeddingLayout);
+        }
+    });
+    toggleContainer.appendChild(saveLink);
+    
+    document.body.appendChild(toggleContainer);
+    updateLayoutToggle();
+}
+
+// Reflect the active layout in the toggle buttons
+function updateLayoutToggle() {
+    document.querySelectorAll('#layout-toggle [data-layout]').forEach(button => {
+        const active = button.dataset.layout === currentLayout;
+        const layout = LAYOUTS.find(l => l.name === button.dataset.layout);
+        const available = !layout.needsMetadata || !!posterMetadata;
+        button.style.backgroundColor = active ? 'rgba(255, 255, 255, 0.85)' : 'rgb(0, 0, 0)';
+        button.style.color = active ? 'black' : 'white';
+        button.style.opacity = available ? '1' : '0.4';
+        button.style.pointerEvents = available ? 'auto' : 'none';
+        button.title = available ? '' : 'Needs all/metadata.json (see tools/import-vam-metadata.mjs)';
+    });
+    const saveLink = document.getElementById('save-layout-button');
+    if (saveLink) {
+        saveLink.style.display = embeddingLayout ? 'block' : 'none';
+    }
+}
+
+function setLayout(name) {
+    if (name === currentLayout || recordStore.size() === 0) {
+        return;
+    }
+    
+    // Also reached from shared links, which may name a layout that isn't available here
+    const layout = LAYOUTS.find(l => l.name === name);
+    if (!layout || (layout.needsMetadata && !posterMetadata)) {
+        return;
+    }
+    
+    if (name === 'embedding' && !embeddingLayout) {
+        // Errors are already reported by ensureEmbeddingLayout
+        ensureEmbeddingLayout().then(() => setLayout(name), () => {});
+        return;
+    }
+    
+    if (!layoutGuides[name]) {
+        computeMetadataLayout(name);
+    }
+    
+    currentLayout = name;
+    animateToLayout(name);
+    showLayoutGuides(name);
+    updateLayoutToggle();
+    scheduleUrlUpdate();
+}
+
+// Timeline/maker/place positions from the poster metadata, computed on first use
+function computeMetadataLayout(name) {
+    const records = recordStore.all();
+    let layout;
+    
+    if (name === 'timeline') {
+        layout = timelineLayout(records, SPACING);
+    } else if (name === 'maker') {
+        layout = groupLayout(records, record => record.metadata && record.metadata.maker, SPACING);
+    } else if (name === 'place') {
+        layout = groupLayout(records, record => record.metadata && record.metadata.place, SPACING);
+    } else {
+        return;
+    }
+    
+    layout.positions.forEach((position, record) => {
+        record.layoutPositions[name] = new THREE.Vector3(position.x, position.y, position.z);
+    });
+    layoutGuides[name] = layout.guides;
+}
+
+// Replace the floating guide labels with the ones for the layout
+function showLayoutGuides(name) {
+    if (guideGroup) {
+        guideGroup.children.forEach(label => {
+            label.material.map.dispose();
+            label.material.dispose();
+        });
+        scene.remove(guideGroup);
+    }
     
-    // Add hover effect
-    resetButton.addEventListener('mouseenter', function() {
-        resetButton.style.backgroundColor = 'rgba(111, 111, 111, 0.91)';
+    guideGroup = new THREE.Group();
+    (layoutGuides[name] || []).forEach(guide => {
+        const label = createTextSprite(guide.text);
+        label.position.set(guide.x, guide.y, guide.z);
+        guideGroup.add(label);
     });
+    scene.add(guideGroup);
+}
+
+// Text rendered into a canvas texture on a sprite, sized in world units by its height
+function createTextSprite(text, height = 8) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const fontSize = 48;
+    context.font = `300 ${fontSize}px Poppins, sans-serif`;
+    canvas.width = Math.ceil(context.measureText(text).width) + 20;
+    canvas.height = fontSize + 20;
     
-    resetButton.addEventListener('mouseleave', function() {
-        resetButton.style.backgroundColor = 'rgb(0, 0, 0)';
+    // Setting the size resets the context, so set the font again
+    context.font = `300 ${fontSize}px Poppins, sans-serif`;
+    context.fillStyle = 'white';
+    context.textBaseline = 'middle';
+    context.fillText(text, 10, canvas.height / 2);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    const material = new THREE.SpriteMaterial({ map: texture, depthWrite: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.userData.isGuide = true;
+    return sprite;
+}
+
+// Load the cached similarity layout, or compute it (slow) and cache it
+let embeddingLayoutPromise = null;
+function ensureEmbeddingLayout() {
+    if (embeddingLayoutPromise) {
+        return embeddingLayoutPromise;
+    }
+    
+    embeddingLayoutPromise = loadCachedEmbeddingLayout()
+        .then(cached => {
+            if (cached) {
+                return cached;
+            }
+            
+            createLoadingOverlay('layout-progress', 'Computing similarity layout... <span id="layout-progress-value">0%</span>');
+            const files = recordStore.all().map(data => data.filename);
+            
+            return computeEmbeddingLayout(files, (stage, fraction) => {
+                const label = stage === 'features' ? 'features' : 'projection';
+                document.getElementById('layout-progress-value').textContent = `${label} ${Math.round(fraction * 100)}%`;
+            }).then(layout => {
+                saveEmbeddingLayout(layout);
+                return layout;
+            }).finally(() => {
+                document.getElementById('layout-progress').remove();
+            });
+        })
+        .then(layout => {
+            embeddingLayout = layout;
+            layoutGuides.embedding = [];
+            
+            // Posters missing from the layout stay where the spiral put them
+            recordStore.forEach(data => {
+                const position = layout.positions[data.filename];
+                data.layoutPositions.embedding = position
+                    ? new THREE.Vector3(position[0], position[1], position[2])
+                    : data.layoutPositions.spiral.clone();
+            });
+        })
+        .catch(error => {
+            console.error('Error computing similarity layout:', error);
+            embeddingLayoutPromise = null;
+            throw error;
+        });
+    
+    return embeddingLayoutPromise;
+}
+
+// Start moving every sprite from where it is now to its position in the layout
+function animateToLayout(name) {
+    const moves = [];
+    recordStore.forEach(data => {
+        const to = data.layoutPositions[name];
+        if (to) {
+            moves.push({ sprite: data.sprite, from: data.sprite.position.clone(), to });
+        }
     });
+    layoutTransition = { start: performance.now(), moves };
+}
+
+function updateLayoutTransition() {
+    if (!layoutTransition) return;
     
-    // Add click event to reset camera - keep animation state separate
-    resetButton.addEventListener('click', function() {
-        // Reset camera to initial position and target
-        camera.position.set(411.84, 386.34, 898.09);
-        controls.target.set(-142.38, -175.58, 284.02);
-        controls.update();
-        
-        // Add a visual feedback for the click
-        resetButton.style.backgroundColor = 'rgba(255, 255, 255, 0.85)';
-        resetButton.style.color = 'black'; 
-        setTimeout(() => {
-            resetButton.style.backgroundColor = 'rgb(37, 37, 37)';
-            resetButton.style.color = 'white'; 
-        }, 200);
+    const t = Math.min(1, (performance.now() - layoutTransition.start) / LAYOUT_TRANSITION_DURATION);
+    // Ease in-out cubic
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    
+    layoutTransition.moves.forEach(({ sprite, from, to }) => {
+        sprite.position.lerpVectors(from, to, eased);
     });
+    categoryLabelsDirty = true; // Labels follow their clusters
     
-    document.body.appendChild(resetButton);
+    if (t === 1) {
+        layoutTransition = null;
+        updateLOD();
+    }
 }
 
 // Function to filter images based on confidence threshold
 function filterImagesByConfidence(threshold) {
-    imageData.forEach((data, key) => {
+    activeFilters.minConfidence = Math.min(threshold, activeFilters.maxConfidence);
+    applyFilters();
+}
+
+// Show, hide or dim every sprite according to the active filters (AND of all of them)
+function applyFilters() {
+    recordStore.forEach(data => {
         const sprite = data.sprite;
+        data.matchesFilters = matchesFilters(data, activeFilters);
         
-        if (data.confidence >= threshold) {
-            // Show images above threshold
+        if (activeFilters.mode === 'dim') {
             sprite.visible = true;
+            sprite.material.opacity = data.matchesFilters ? 1.0 : DIMMED_OPACITY;
         } else {
-            // Hide images below threshold
-            sprite.visible = false;
+            sprite.visible = data.matchesFilters;
+            sprite.material.opacity = 1.0;
+        }
+    });
+    
+    // Keep the selected category highlighted on top of the filters
+    if (selectedRecordId) {
+        applySelectionHighlight();
+    } else if (statsCategory) {
+        highlightRecords(data => data.category === statsCategory);
+    }
+    
+    // Hidden posters release their textures, shown ones get theirs back
+    updateLOD();
+    updateFilterPanel();
+    updateStatsPanel();
+    categoryLabelsDirty = true;
+    scheduleUrlUpdate();
+}
+
+// Opacity a sprite falls back to when nothing is highlighted - dimmed if filtered out
+function getBaseOpacity(sprite) {
+    const data = recordStore.getBySprite(sprite);
+    return data && data.matchesFilters === false ? DIMMED_OPACITY : 1.0;
+}
+
+function getMatchingRecords() {
+    return recordStore.all().filter(data => data.matchesFilters !== false);
+}
+
+// Point the camera at the bounding box of the records, keeping the current viewing direction
+function frameRecords(records) {
+    if (records.length === 0) return;
+    
+    const box = new THREE.Box3();
+    records.forEach(data => box.expandByPoint(data.sprite.position));
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3()).length();
+    const distance = THREE.MathUtils.clamp(size * 0.8 + PARTICLE_SIZE * 4, controls.minDistance, controls.maxDistance);
+    
+    const direction = new THREE.Vector3().subVectors(camera.position, controls.target).normalize();
+    flyCamera(center.clone().addScaledVector(direction, distance), center);
+}
+
+// HTML label for a category cluster; text and position are filled in by updateCategoryLabels
+function createCategoryLabel(category) {
+    if (!categoryLabelGroup) {
+        categoryLabelGroup = new THREE.Group();
+        scene.add(categoryLabelGroup);
+    }
+    
+    const element = document.createElement('div');
+    element.className = 'category-label';
+    element.innerHTML = `
+        <div class="category-label-name">${escapeHtml(category)}</div>
+        <div class="category-label-stats"></div>
+    `;
+    
+    // Clicking a label flies to its cluster
+    element.addEventListener('click', function(e) {
+        e.stopPropagation();
+        const records = recordStore.byCategory(category).filter(data => data.matchesFilters !== false);
+        frameRecords(records);
+    });
+    
+    const label = new CSS2DObject(element);
+    label.userData.category = category;
+    categoryLabelGroup.add(label);
+    categoryLabelsDirty = true;
+    return label;
+}
+
+// Place each label above its cluster with the count and average confidence of the
+// posters that pass the filters, and fade it out with distance from the camera
+function updateCategoryLabels() {
+    if (!categoryLabelGroup) return;
+    
+    const showLabels = LABELLED_LAYOUTS.includes(currentLayout);
+    
+    if (categoryLabelsDirty) {
+        categoryLabelsDirty = false;
+        categoryLabelGroup.children.forEach(label => {
+            const records = recordStore.byCategory(label.userData.category)
+                .filter(data => data.matchesFilters !== false);
+            label.userData.count = records.length;
+            if (records.length === 0) return;
+            
+            const box = new THREE.Box3();
+            let confidenceSum = 0;
+            records.forEach(data => {
+                box.expandByPoint(data.sprite.position);
+                confidenceSum += data.confidence;
+            });
+            const center = box.getCenter(new THREE.Vector3());
+            label.position.set(center.x, box.max.y + SPACING * 2, center.z);
+            
+            const average = Math.round((confidenceSum / records.length) * 100);
+            label.element.querySelector('.category-label-stats').textContent =
+                `${records.length} image${records.length === 1 ? '' : 's'} · ${average}% avg`;
+        });
+    }
+    
+    categoryLabelGroup.children.forEach(label => {
+        const distance = camera.position.distanceTo(label.position);
+        const opacity = 1 - THREE.MathUtils.smoothstep(distance, LABEL_FADE_NEAR, LABEL_FADE_FAR);
+        label.visible = showLabels && label.userData.count > 0 && opacity > 0.01;
+        if (label.visible) {
+            label.element.style.opacity = opacity.toFixed(2);
         }
     });
 }
 
-// Add this function to close the imagePreview
+// Closing the preview clears the selection
 function closeImagePreview() {
+    setSelection(null);
+}
+
+// The one place the selection changes: frames the selected poster, highlights its
+// category and shows or hides the preview
+function setSelection(id, { preview = previewOpen } = {}) {
+    const previous = recordStore.get(selectedRecordId);
+    const data = id ? recordStore.get(id) : null;
+    
+    selectedRecordId = data ? data.id : null;
+    previewOpen = !!data && preview;
+    
+    if (previous) updatePosterEmphasis(previous);
+    if (data) updatePosterEmphasis(data);
+    applySelectionHighlight();
+    
     const container = document.getElementById('imagePreview');
-    if (container) {
+    if (previewOpen) {
+        renderPreview(data);
+        container.style.display = 'block';
+    } else if (container) {
         container.style.display = 'none';
-        
-        // Reset opacity of all sprites back to normal
-        Object.values(particles).forEach(p => {
-            p.children.forEach(s => {
-                if (s instanceof THREE.Sprite && s.visible) {
-                    s.material.opacity = 1.0;
-                }
-            });
-        });
     }
+    updateStatsPanel(); // The histogram follows the selected poster's category
+    scheduleUrlUpdate();
+    return data;
+}
+
+// Posters of the selected category keep their opacity, the rest fade (dimmed ones stay dimmed)
+function applySelectionHighlight() {
+    const data = recordStore.get(selectedRecordId);
+    if (data) {
+        highlightRecords(record => record.category === data.category);
+    } else {
+        highlightRecords(() => true);
+    }
+}
+
+// Scale up and frame the hovered and the selected poster, and the ones in the selection set
+function updatePosterEmphasis(data) {
+    const selected = data.id === selectedRecordId;
+    const hovered = data.id === hoveredRecordId;
+    const inSet = selectionSet.has(data.id);
+    const scale = selected ? SELECTED_SCALE : hovered ? HOVER_SCALE : inSet ? SET_SCALE : 1;
+    data.sprite.scale.set(PARTICLE_SIZE * scale, PARTICLE_SIZE * scale, 1);
+    data.sprite.userData.highlight = selected || hovered || inSet ? 1 : 0; // Drawn by the instanced renderer
+    if (data.sprite.material.color) {
+        data.sprite.material.color.copy(inSet ? SET_TINT : NO_TINT);
+    }
+}
+
+// Pick the poster under the pointer and show its tooltip
+function updateHover() {
+    if (!hoverDirty) return;
+    hoverDirty = false;
+    
+    const record = pointerOverCanvas ? pickRecord() : null;
+    const id = record ? record.id : null;
+    if (id !== hoveredRecordId) {
+        const previous = recordStore.get(hoveredRecordId);
+        hoveredRecordId = id;
+        if (previous) updatePosterEmphasis(previous);
+        if (record) updatePosterEmphasis(record);
+        renderer.domElement.style.cursor = record ? 'pointer' : '';
+    }
+    updateTooltip(record);
+}
+
+// Thumbnail, label and confidence next to the pointer
+function updateTooltip(record) {
+    let tooltip = document.getElementById('hover-tooltip');
+    if (!record) {
+        if (tooltip) tooltip.style.display = 'none';
+        return;
+    }
+    
+    if (!tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.id = 'hover-tooltip';
+        tooltip.style.position = 'fixed';
+        tooltip.style.pointerEvents = 'none';
+        tooltip.style.background = 'rgba(0,0,0,0.8)';
+        tooltip.style.color = 'white';
+        tooltip.style.padding = '8px';
+        tooltip.style.borderRadius = '6px';
+        tooltip.style.zIndex = '1002';
+        tooltip.style.fontFamily = '"Poppins", sans-serif';
+        tooltip.style.fontSize = '12px';
+        tooltip.style.maxWidth = '160px';
+        document.body.appendChild(tooltip);
+    }
+    
+    // Keyed by category too, so a relabelled poster doesn't keep its old tooltip
+    const key = `${record.id}|${record.category}`;
+    if (tooltip.dataset.key !== key) {
+        tooltip.dataset.key = key;
+        tooltip.innerHTML = `
+            <img src="all/thumbnails/${encodeURIComponent(record.filename)}" alt=""
+                style="display: block; width: 100%; margin-bottom: 6px;">
+            <div>${escapeHtml(record.category)}</div>
+            <div style="opacity: 0.7;">${record.correction ? 'Corrected label' : `${(record.confidence * 100).toFixed(1)}% confidence`}</div>
+        `;
+    }
+    
+    // Keep it on screen near the right and bottom edges
+    const flipX = pointerClient.x > window.innerWidth - 200;
+    const flipY = pointerClient.y > window.innerHeight - 240;
+    tooltip.style.left = flipX ? '' : `${pointerClient.x + 16}px`;
+    tooltip.style.right = flipX ? `${window.innerWidth - pointerClient.x + 16}px` : '';
+    tooltip.style.top = flipY ? '' : `${pointerClient.y + 16}px`;
+    tooltip.style.bottom = flipY ? `${window.innerHeight - pointerClient.y + 16}px` : '';
+    tooltip.style.display = 'block';
+}
+
+// Posters the keyboard can move to
+function isSelectable(data) {
+    return data.sprite.visible && data.matchesFilters !== false;
+}
+
+// Nearest selectable poster of the same category in a screen direction (dx, dy),
+// within 45 degrees of it - works for any layout and camera angle
+function findNeighbour(data, dx, dy) {
+    const origin = data.sprite.position.clone().project(camera);
+    let best = null;
+    let bestScore = Infinity;
+    
+    recordStore.byCategory(data.category).forEach(other => {
+        if (other === data || !isSelectable(other)) return;
+        const p = other.sprite.position.clone().project(camera);
+        if (p.z > 1) return; // Behind the camera
+        const vx = p.x - origin.x;
+        const vy = p.y - origin.y;
+        const along = vx * dx + vy * dy;
+        const across = Math.abs(vx * dy - vy * dx);
+        if (along <= 0 || across > along) return;
+        const score = along + across * 2;
+        if (score < bestScore) {
+            best = other;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// First selectable poster of the next (or previous) category, largest first
+function findCategoryStart(data, step) {
+    const categories = Object.values(particles)
+        .sort((a, b) => b.userData.count - a.userData.count)
+        .map(group => group.userData.category);
+    const current = data ? categories.indexOf(data.category) : (step > 0 ? -1 : categories.length);
+    
+    for (let i = 1; i <= categories.length; i++) {
+        const category = categories[((current + step * i) % categories.length + categories.length) % categories.length];
+        const first = recordStore.byCategory(category).find(isSelectable);
+        if (first) return first;
+    }
+    return null;
+}
+
+// Pan to a keyboard-selected poster that is off screen, keeping the viewing angle
+function keepInView(data) {
+    const p = data.sprite.position.clone().project(camera);
+    if (Math.abs(p.x) < 0.9 && Math.abs(p.y) < 0.9 && p.z < 1) return;
+    const offset = new THREE.Vector3().subVectors(camera.position, controls.target);
+    flyCamera(data.sprite.position.clone().add(offset), data.sprite.position, MIN_FLIGHT_DURATION);
+}
+
+// Arrows move inside the category, Tab to the next category, Enter opens the preview,
+// Escape clears the selection
+function onSelectionKeyDown(event) {
+    if (event.defaultPrevented) return; // Already handled, e.g. Escape ending a tour
+    if (tour) return; // The tour has its own keys
+    if (document.getElementById('lightbox')) {
+        if (event.key === 'Escape') closeLightbox();
+        return;
+    }
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || event.target.tagName === 'SELECT') return;
+    
+    const current = recordStore.get(selectedRecordId);
+    const directions = { ArrowRight: [1, 0], ArrowLeft: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+    let next = null;
+    
+    if (directions[event.key]) {
+        next = current ? findNeighbour(current, ...directions[event.key]) : findCategoryStart(null, 1);
+        if (!next) {
+            event.preventDefault();
+            return;
+        }
+    } else if (event.key === 'Tab') {
+        // Only while nothing else has focus, so Tab still moves between links and inputs
+        if (event.target !== document.body && event.target !== renderer.domElement) return;
+        next = findCategoryStart(current, event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Enter') {
+        if (!current) return;
+        setSelection(current.id, { preview: true });
+        event.preventDefault();
+        return;
+    } else if (event.key === 'Escape') {
+        if (!current) return;
+        setSelection(null);
+        event.preventDefault();
+        return;
+    } else {
+        return;
+    }
+    
+    event.preventDefault();
+    if (next) {
+        setSelection(next.id);
+        keepInView(next);
+    }
+}
+
+// Keep highlighted posters at their normal opacity and fade the rest of the visible ones
+function highlightRecords(isHighlighted) {
+    recordStore.forEach(data => {
+        const sprite = data.sprite;
+        if (sprite.visible) {
+            const base = getBaseOpacity(sprite);
+            sprite.material.opacity = isHighlighted(data) ? base : Math.min(0.3, base);
+        }
+    });
+}
+
+// Ranked list of the top K predictions, each with its own confidence bar
+function renderPredictionList(predictions) {
+    if (!predictions || predictions.length === 0) {
+        return '';
+    }
+    
+    const items = predictions.map((p, rank) => {
+        const percent = (p.confidence * 100).toFixed(2);
+        return `
+            <li class="prediction" data-label="${escapeHtml(p.label)}" title="Show posters with this label in their top ${LABEL_MATCH_K}">
+                <span class="prediction-rank">${rank + 1}.</span> ${escapeHtml(p.label)}
+                <span class="prediction-confidence">${percent}%</span>
+                <div class="confidence-bar">
+                    <div class="confidence-level" style="width: ${percent}%"></div>
+                </div>
+            </li>
+        `;
+    }).join('');
+    
+    return `
+        <p><strong>Top ${predictions.length} predictions:</strong></p>
+        <ol class="prediction-list">${items}</ol>
+        <p id="prediction-matches" style="opacity: 0.7;"></p>
+    `;
+}
+
+// V&A collection details for the poster, with a link to its collections page
+function renderMetadata(metadata) {
+    if (!metadata) {
+        return '';
+    }
+    
+    const fields = [
+        ['Title', metadata.title],
+        ['Maker', metadata.makerRole ? `${metadata.maker} (${metadata.makerRole})` : metadata.maker],
+        ['Date', metadata.date],
+        ['Place', metadata.place],
+        ['Materials', metadata.materials],
+        ['Museum number', metadata.museumNumber]
+    ].filter(([, value]) => value);
+    
+    return `
+        <div class="poster-metadata">
+            ${fields.map(([name, value]) => `<p><strong>${name}:</strong> ${escapeHtml(value)}</p>`).join('')}
+            <a href="${escapeHtml(collectionsUrl(metadata.systemNumber))}" target="_blank" rel="noopener">View in V&amp;A Collections &#8599;</a>
+        </div>
+    `;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Find every poster whose top k predictions include the label
+function findImagesWithLabel(label, k = LABEL_MATCH_K) {
+    const matches = [];
+    recordStore.forEach(data => {
+        if (data.predictions && hasLabelInTopK(data.predictions, label, k)) {
+            matches.push(data);
+        }
+    });
+    return matches;
+}
+
+// Dim every visible sprite except the ones with the label in their top k; returns how many match
+function highlightImagesWithLabel(label, k = LABEL_MATCH_K) {
+    const matches = new Set(findImagesWithLabel(label, k));
+    highlightRecords(data => matches.has(data));
+    return matches.size;
 }
 
 // Modify the onClick function to check if we clicked on a sprite
 function onClick(event) {
+    // Clicks on panels and buttons are not meant for the scene behind them
+    if (event.target !== renderer.domElement) return;
+    
+    // The end of an orbit drag is not a click
+    if (Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y) > 5) return;
+    
+    // The second click of a double-click is left to onDoubleClick
+    if (event.detail > 1) return;
+    
+    const record = pickRecord();
+    
+    // Shift/ctrl/cmd-click adds to or removes from the selection set
+    if (record && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+        toggleInSelectionSet(record);
+        return;
+    }
+    
+    if (record) {
+        selectRecord(record.id);
+        // Fly only once it is clear this isn't the start of a double-click
+        clearTimeout(pendingFlight);
+        pendingFlight = setTimeout(() => {
+            pendingFlight = null;
+            flyToRecord(record);
+        }, DOUBLE_CLICK_DELAY);
+    } else {
+        // If no sprite was clicked, close any open preview
+        closeImagePreview();
+    }
+}
+
+function toggleInSelectionSet(data) {
+    if (selectionSet.has(data.id)) {
+        selectionSet.delete(data.id);
+    } else {
+        selectionSet.add(data.id);
+    }
+    updatePosterEmphasis(data);
+    updateSelectionBar();
+}
+
+// Replace the selection set (or add to it) and refresh the posters whose state changed
+function setSelectionSet(records, additive = false) {
+    const changed = additive ? [] : [...selectionSet].map(id => recordStore.get(id));
+    if (!additive) selectionSet.clear();
+    records.forEach(data => {
+        selectionSet.add(data.id);
+        changed.push(data);
+    });
+    changed.forEach(data => updatePosterEmphasis(data));
+    updateSelectionBar();
+}
+
+function getSelectionSetRecords() {
+    return [...selectionSet].map(id => recordStore.get(id));
+}
+
+// Alt+drag (or any drag after pressing Box select) draws a selection box; with
+// shift/ctrl held it adds to the set instead of replacing it
+function onBoxSelectStart(event) {
+    if (event.target !== renderer.domElement || event.button !== 0) return;
+    if (!event.altKey && !boxSelectMode) return;
+    
+    controls.enabled = false;
+    const element = document.createElement('div');
+    element.style.position = 'fixed';
+    element.style.border = '1px dashed white';
+    element.style.background = 'rgba(255, 255, 255, 0.1)';
+    element.style.pointerEvents = 'none';
+    element.style.zIndex = '1001';
+    document.body.appendChild(element);
+    
+    boxSelection = {
+        startX: event.clientX,
+        startY: event.clientY,
+        additive: event.shiftKey || event.ctrlKey || event.metaKey,
+        element
+    };
+    onBoxSelectMove(event);
+}
+
+function onBoxSelectMove(event) {
+    if (!boxSelection) return;
+    const { startX, startY, element } = boxSelection;
+    element.style.left = `${Math.min(startX, event.clientX)}px`;
+    element.style.top = `${Math.min(startY, event.clientY)}px`;
+    element.style.width = `${Math.abs(event.clientX - startX)}px`;
+    element.style.height = `${Math.abs(event.clientY - startY)}px`;
+}
+
+function onBoxSelectEnd(event) {
+    if (!boxSelection) return;
+    const { startX, startY, additive, element } = boxSelection;
+    element.remove();
+    boxSelection = null;
+    boxSelectMode = false;
+    controls.enabled = true;
+    
+    const left = Math.min(startX, event.clientX);
+    const right = Math.max(startX, event.clientX);
+    const top = Math.min(startY, event.clientY);
+    const bottom = Math.max(startY, event.clientY);
+    if (right - left < 5 && bottom - top < 5) {
+        updateSelectionBar();
+        return;
+    }
+    
+    // Posters whose center projects inside the box
+    const projected = new THREE.Vector3();
+    const inside = recordStore.all().filter(data => {
+        if (!isSelectable(data)) return false;
+        projected.copy(data.sprite.position).project(camera);
+        if (projected.z > 1) return false;
+        const x = (projected.x + 1) / 2 * window.innerWidth;
+        const y = (1 - projected.y) / 2 * window.innerHeight;
+        return x >= left && x <= right && y >= top && y <= bottom;
+    });
+    setSelectionSet(inside, additive);
+}
+
+// Bar with the size of the selection set and what can be done with it
+function createSelectionBar() {
+    const bar = document.createElement('div');
+    bar.id = 'selection-bar';
+    bar.style.position = 'fixed';
+    bar.style.bottom = '70px';
+    bar.style.left = '50%';
+    bar.style.transform = 'translateX(-50%)';
+    bar.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    bar.style.color = 'white';
+    bar.style.padding = '6px 12px';
+    bar.style.borderRadius = '4px';
+    bar.style.zIndex = '1000';
+    bar.style.fontFamily = '"Poppins", sans-serif';
+    bar.style.fontSize = '12px';
+    bar.style.boxShadow = '0 2px 5px rgba(0,0,0,0.3)';
+    bar.style.userSelect = 'none';
+    bar.style.whiteSpace = 'nowrap';
+    
+    bar.innerHTML = `
+        <span id="selection-count"></span>
+        <span id="selection-box" style="cursor: pointer; text-decoration: underline; margin-left: 10px;" title="Or hold Alt and drag">Box select</span>
+        <span id="selection-actions">
+            <span id="selection-compare" style="cursor: pointer; text-decoration: underline; margin-left: 10px;">Compare</span>
+            <span id="selection-export-numbers" style="cursor: pointer; text-decoration: underline; margin-left: 10px;">System numbers</span>
+            <span id="selection-export-csv" style="cursor: pointer; text-decoration: underline; margin-left: 10px;">CSV</span>
+            <span id="selection-clear" style="cursor: pointer; text-decoration: underline; margin-left: 10px;">Clear</span>
+        </span>
+    `;
+    document.body.appendChild(bar);
+    
+    bar.querySelector('#selection-box').addEventListener('click', function() {
+        boxSelectMode = !boxSelectMode;
+        updateSelectionBar();
+    });
+    bar.querySelector('#selection-compare').addEventListener('click', openLightbox);
+    bar.querySelector('#selection-export-numbers').addEventListener('click', function() {
+        downloadText(toSystemNumberList(getSelectionSetRecords()), 'poster-selection.txt');
+    });
+    bar.querySelector('#selection-export-csv').addEventListener('click', function() {
+        downloadText(toCsv(getSelectionSetRecords()), 'poster-selection.csv', 'text/csv');
+    });
+    bar.querySelector('#selection-clear').addEventListener('click', function() {
+        setSelectionSet([]);
+    });
+    
+    updateSelectionBar();
+}
+
+function updateSelectionBar() {
+    const count = document.getElementById('selection-count');
+    if (!count) return;
+    count.textContent = selectionSet.size > 0
+        ? `${selectionSet.size} selected`
+        : 'Shift-click posters to collect them';
+    document.getElementById('selection-actions').style.display = selectionSet.size > 0 ? 'inline' : 'none';
+    document.getElementById('selection-box').textContent = boxSelectMode ? 'Drag a box...' : 'Box select';
+}
+
+// The selection set side by side at full resolution with labels, confidences and metadata
+function openLightbox() {
+    closeLightbox();
+    const records = getSelectionSetRecords();
+    if (records.length === 0) return;
+    
+    const lightbox = document.createElement('div');
+    lightbox.id = 'lightbox';
+    lightbox.style.position = 'fixed';
+    lightbox.style.top = '0';
+    lightbox.style.left = '0';
+    lightbox.style.right = '0';
+    lightbox.style.bottom = '0';
+    lightbox.style.overflowY = 'auto';
+    lightbox.style.background = 'rgba(0,0,0,0.92)';
+    lightbox.style.color = 'white';
+    lightbox.style.padding = '20px';
+    lightbox.style.zIndex = '2000';
+    lightbox.style.fontFamily = '"Poppins", sans-serif';
+    lightbox.style.fontSize = '12px';
+    
+    const cards = records.map(data => `
+        <div data-record-id="${escapeHtml(data.id)}" style="background: #111; padding: 12px; border-radius: 8px;">
+            <img src="all/${encodeURIComponent(data.filename)}" alt="${escapeHtml(data.filename)}"
+                style="display: block; width: 100%; margin-bottom: 10px;">
+            <div style="display: flex; justify-content: space-between; align-items: baseline;">
+                <h3 style="margin: 0;">${escapeHtml(data.category)}</h3>
+                <span class="lightbox-remove" style="cursor: pointer; text-decoration: underline;">Remove</span>
+            </div>
+            <p style="margin: 4px 0;">${escapeHtml(data.filename)} &middot; ${(data.confidence * 100).toFixed(2)}%</p>
+            ${renderPredictionList(data.predictions)}
+            ${renderMetadata(data.metadata)}
+        </div>
+    `).join('');
+    
+    lightbox.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; font-size: 14px;">
+            <strong id="lightbox-count"></strong>
+            <span id="lightbox-close" style="cursor: pointer; font-size: 20px;" title="Close (Esc)">&#10005;</span>
+        </div>
+        <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 20px; align-items: start;">
+            ${cards}
+        </div>
+    `;
+    document.body.appendChild(lightbox);
+    updateLightboxCount();
+    
+    lightbox.querySelector('#lightbox-close').addEventListener('click', closeLightbox);
+    lightbox.querySelectorAll('.lightbox-remove').forEach(button => {
+        button.addEventListener('click', function() {
+            const card = button.closest('[data-record-id]');
+            toggleInSelectionSet(recordStore.get(card.dataset.recordId));
+            card.remove();
+            if (selectionSet.size === 0) {
+                closeLightbox();
+            } else {
+                updateLightboxCount();
+            }
+        });
+    });
+}
+
+function updateLightboxCount() {
+    document.getElementById('lightbox-count').textContent =
+        `${selectionSet.size} poster${selectionSet.size === 1 ? '' : 's'}`;
+}
+
+function closeLightbox() {
+    const lightbox = document.getElementById('lightbox');
+    if (lightbox) lightbox.remove();
+}
+
+// Double-clicking a poster frames its whole category
+function onDoubleClick(event) {
+    if (event.target !== renderer.domElement) return;
+    
+    clearTimeout(pendingFlight);
+    pendingFlight = null;
+    const record = pickRecord();
+    if (record) {
+        frameRecords(recordStore.byCategory(record.category).filter(isSelectable));
+    }
+}
+
+// Nearest poster under the pointer that passes the filters, or null. Posters
+// dimmed by the filters are only shown for context, so they can't be picked.
+function pickRecord() {
     raycaster.setFromCamera(pointer, camera);
     
-    // Flag to track if we hit any sprite
-    let hitSprite = false;
+    if (posterRenderer) {
+        return recordStore.getBySprite(posterRenderer.pick(raycaster, sprite => {
+            const data = recordStore.getBySprite(sprite);
+            return Boolean(data) && isSelectable(data);
+        }));
+    }
     
+    const sprites = [];
     Object.values(particles).forEach(group => {
-        const intersects = raycaster.intersectObjects(group.children.filter(sprite => sprite.visible), true);
-        if (intersects.length > 0) {
-            hitSprite = true;
-            const sprite = intersects[0].object;
-            const position = sprite.position;
-            const key = `${position.x},${position.y},${position.z}`;
-            const data = imageData.get(key);
-            
-            if (data) {
-                const preview = document.getElementById('preview');
-                const info = document.getElementById('imageInfo');
-                const container = document.getElementById('imagePreview');
-                
-                // Always load original image at full quality for the preview
-                preview.src = 'all/' + data.filename;
-                
-                const confidencePercent = (data.confidence * 100).toFixed(2);
-                const totalImagesInCategory = particles[data.category].userData.count;
-                
-                // Enhanced information display with more prominent category information
-                info.innerHTML = `
-                    <h2>${data.category}</h2>
-                    <p><strong>Category size:</strong> ${totalImagesInCategory} images</p>
-                    <p><strong>Confidence:</strong> ${confidencePercent}%</p>
-                    <div class="confidence-bar">
-                        <div class="confidence-level" style="width: ${confidencePercent}%"></div>
-                    </div>
-                `;
-                
-                // Highlight selected category - only visible sprites
-                Object.values(particles).forEach(p => {
-                    p.children.forEach(s => {
-                        if (s instanceof THREE.Sprite && s.visible) {
-                            s.material.opacity = p === group ? 1.0 : 0.3;
-                        }
-                    });
-                });
-                
-                container.style.display = 'block';
-            }
-        }
+        group.children.forEach(sprite => {
+            const data = recordStore.getBySprite(sprite);
+            if (data && isSelectable(data)) sprites.push(sprite);
+        });
     });
     
-    // If no sprite was clicked, close any open preview
-    if (!hitSprite) {
-        closeImagePreview();
+    const intersects = raycaster.intersectObjects(sprites, false);
+    return intersects.length > 0 ? recordStore.getBySprite(intersects[0].object) : null;
+}
+
+// Public: look up a poster record by id (its filename)
+export function getRecord(id) {
+    return recordStore.get(id);
+}
+
+// Public: select a poster, open its preview and highlight its category
+export function selectRecord(id) {
+    return setSelection(id, { preview: true });
+}
+
+// Fill the preview panel with the poster, its ranked labels and metadata
+function renderPreview(data) {
+    const preview = document.getElementById('preview');
+    const info = document.getElementById('imageInfo');
+    
+    // Always load original image at full quality for the preview
+    preview.src = 'all/' + data.filename;
+    
+    const confidencePercent = (data.confidence * 100).toFixed(2);
+    const totalImagesInCategory = recordStore.byCategory(data.category).length;
+    
+    // Enhanced information display with more prominent category information
+    info.innerHTML = `
+        <h2>${escapeHtml(data.category)}</h2>
+        ${data.label !== data.category ? `<p><strong>Label:</strong> ${escapeHtml(data.label)}</p>` : ''}
+        <p><strong>Category size:</strong> ${totalImagesInCategory} images</p>
+        <p><strong>Confidence:</strong> ${confidencePercent}%</p>
+        <div class="confidence-bar">
+            <div class="confidence-level" style="width: ${confidencePercent}%"></div>
+        </div>
+        ${renderRelabelForm(data)}
+        ${renderPredictionList(data.predictions)}
+        ${renderMetadata(data.metadata)}
+    `;
+    
+    // Clicking a ranked label highlights every poster that has it near the top
+    info.querySelectorAll('.prediction').forEach(item => {
+        item.addEventListener('click', function(e) {
+            e.stopPropagation();
+            const count = highlightImagesWithLabel(item.dataset.label, LABEL_MATCH_K);
+            info.querySelector('#prediction-matches').textContent =
+                `${count} poster${count === 1 ? '' : 's'} with "${item.dataset.label}" in their top ${LABEL_MATCH_K}`;
+        });
+    });
+    
+    // Editing mode: the form stays hidden until "Change label" is clicked.
+    // Handlers stop propagation because relabelling re-renders this panel, and a
+    // click on a removed element would otherwise count as a click outside it.
+    const form = info.querySelector('#relabel-form');
+    const input = info.querySelector('#relabel-input');
+    info.querySelector('#relabel-edit').addEventListener('click', function(e) {
+        e.stopPropagation();
+        form.style.display = 'flex';
+        input.focus();
+        input.select();
+    });
+    info.querySelector('#relabel-apply').addEventListener('click', function(e) {
+        e.stopPropagation();
+        relabelRecord(data, input.value);
+    });
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') relabelRecord(data, input.value);
+    });
+    const revert = info.querySelector('#relabel-revert');
+    if (revert) {
+        revert.addEventListener('click', function(e) {
+            e.stopPropagation();
+            relabelRecord(data, data.modelLabel);
+        });
     }
 }
 
+// Who corrected the poster's label, and the form to assign it to another or a new
+// category. Suggestions are the labels on the map and the poster's own predictions.
+function renderRelabelForm(data) {
+    const options = new Set((data.predictions || []).map(p => p.label));
+    recordStore.forEach(record => options.add(record.label));
+    
+    const correction = data.correction;
+    const note = correction ? `
+        <p style="opacity: 0.8;">
+            Corrected from <em>${escapeHtml(correction.originalLabel)}</em>
+            by ${escapeHtml(correction.user || 'unknown')}${correction.timestamp ? ' on ' + escapeHtml(new Date(correction.timestamp).toLocaleString()) : ''}
+            · <span id="relabel-revert" style="cursor: pointer; text-decoration: underline;">Revert</span>
+        </p>
+    ` : '';
+    
+    return `
+        <div class="relabel">
+            ${note}
+            <span id="relabel-edit" style="cursor: pointer; text-decoration: underline;">Change label</span>
+            <div id="relabel-form" style="display: none; gap: 6px; margin-top: 6px;">
+                <input id="relabel-input" type="text" list="relabel-options" value="${escapeHtml(data.label)}"
+                    placeholder="Existing or new category"
+                    style="flex: 1; padding: 6px; background: #111; color: white; border: 1px solid #444; border-radius: 4px;">
+                <datalist id="relabel-options">
+                    ${[...options].sort().map(label => `<option value="${escapeHtml(label)}">`).join('')}
+                </datalist>
+                <span id="relabel-apply" style="cursor: pointer; text-decoration: underline; align-self: center;">Apply</span>
+            </div>
+        </div>
+    `;
+}
+
+// Also reachable from the console and from scripts that aren't modules
+window.posterMap = { getRecord, selectRecord };
+
 // Add event listener for clicks outside the canvas and outside the preview
 document.addEventListener('click', function(event) {
     const container = document.getElementById('imagePreview');
@@ -819,14 +4066,14 @@ function animate() {
     requestAnimationFrame(animate);
     frameCount++;
     
-    // Check if we should resume auto-rotation after user interaction has stopped
-    if (userInteracted && !autoRotate && Date.now() - lastUserInteractionTime > AUTO_ROTATE_RESUME_DELAY) {
+    // Check if we should resume auto-rotation after user interaction has stopped (not during a tour)
+    if (!tour && userInteracted && !autoRotate && Date.now() - lastUserInteractionTime > AUTO_ROTATE_RESUME_DELAY) {
         autoRotate = true;
         userInteracted = false;
     }
     
     // Apply auto-rotation if enabled
-    if (autoRotate) {
+    if (autoRotate && !tour && !cameraTransition) {
         // Rotate camera position clockwise around the target point
         const currentPosition = new THREE.Vector3().copy(camera.position);
         const targetPosition = new THREE.Vector3().copy(controls.target);
@@ -862,6 +4109,20 @@ function animate() {
         camera.lookAt(targetPosition);
     }
     
+    // Fly the camera towards a bookmark or tour stop
+    updateCameraTransition();
+    
+    // Move sprites towards their positions in the active layout
+    updateLayoutTransition();
+    
+    // Copy poster positions, opacity and highlight into the instance attributes
+    if (posterRenderer) {
+        posterRenderer.update();
+    }
+    
     controls.update(); // Required for damping to work correctly
+    updateHover();
+    updateCategoryLabels();
     renderer.render(scene, camera);
+    labelRenderer.render(scene, camera);
 }
\ No newline at end of file